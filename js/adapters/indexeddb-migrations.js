@@ -0,0 +1,269 @@
+/**
+ * IndexedDB Migrations
+ * Ordered schema and data migrations for the local database
+ * Each migration upgrades the database to its version; the runner applies
+ * every migration between the stored version and the latest, in order
+ */
+
+const IndexedDBMigrations = (() => {
+    /**
+     * Wrap an IDBRequest in a promise
+     * @param {IDBRequest} request
+     * @returns {Promise<*>}
+     */
+    const promisify = (request) => {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    };
+
+    /**
+     * Rewrite every record in a store
+     * @param {IDBObjectStore} store
+     * @param {Function} transform - Receives a record, returns the new record, null to delete it,
+     *     or undefined to leave it unchanged
+     * @returns {Promise<number>} Number of records visited
+     */
+    const transformRecords = (store, transform) => {
+        return new Promise((resolve, reject) => {
+            let count = 0;
+            const request = store.openCursor();
+
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) {
+                    resolve(count);
+                    return;
+                }
+
+                try {
+                    const updated = transform(cursor.value);
+                    if (updated === null) {
+                        cursor.delete();
+                    } else if (updated) {
+                        cursor.update(updated);
+                    }
+                } catch (error) {
+                    reject(error);
+                    return;
+                }
+
+                count++;
+                cursor.continue();
+            };
+            request.onerror = () => reject(request.error);
+        });
+    };
+
+    /**
+     * Create an index if it doesn't exist yet
+     * @param {IDBObjectStore} store
+     * @param {string} name
+     * @param {string|Array<string>} keyPath
+     * @param {Object} [options]
+     */
+    const ensureIndex = (store, name, keyPath, options = { unique: false }) => {
+        if (!store.indexNames.contains(name)) {
+            store.createIndex(name, keyPath, options);
+        }
+    };
+
+    /**
+     * Migrations in version order
+     * up(db, transaction) runs inside the upgrade transaction and may return a promise
+     */
+    const MIGRATIONS = [
+        {
+            version: 1,
+            description: 'Create entries store',
+            up: (db) => {
+                if (!db.objectStoreNames.contains('entries')) {
+                    db.createObjectStore('entries', { keyPath: 'id', autoIncrement: false });
+                }
+            }
+        },
+        {
+            version: 2,
+            description: 'Index entries by type, date and time',
+            up: (db, transaction) => {
+                const store = transaction.objectStore('entries');
+                ensureIndex(store, 'type', 'type');
+                ensureIndex(store, 'date', 'date');
+                ensureIndex(store, 'timestamp', 'timestamp');
+            }
+        },
+        {
+            version: 3,
+            description: 'Add outbox for offline changes',
+            up: (db) => {
+                if (!db.objectStoreNames.contains('outbox')) {
+                    db.createObjectStore('outbox', { keyPath: 'seq', autoIncrement: true });
+                }
+            }
+        },
+        {
+            version: 4,
+            description: 'Add sync conflicts store',
+            up: (db) => {
+                if (!db.objectStoreNames.contains('conflicts')) {
+                    db.createObjectStore('conflicts', { keyPath: 'id', autoIncrement: true });
+                }
+            }
+        },
+        {
+            version: 5,
+            description: 'Track modification time and version of entries',
+            up: (db, transaction) => {
+                const store = transaction.objectStore('entries');
+                ensureIndex(store, 'updatedAt', 'updatedAt');
+
+                return transformRecords(store, entry => ({
+                    ...entry,
+                    updatedAt: entry.updatedAt || entry.timestamp,
+                    version: entry.version || 1,
+                    tags: entry.tags || [],
+                    customFields: entry.customFields || {}
+                }));
+            }
+        },
+        {
+            version: 6,
+            description: 'Give local entries UUIDs',
+            up: async (db, transaction) => {
+                const store = transaction.objectStore('entries');
+                const legacy = (await promisify(store.getAll())).filter(entry => !EntryModel.isId(entry.id));
+                if (legacy.length === 0) return;
+
+                // Old IDs were Date.now() strings, rekey them and every sync record pointing at them
+                const renamed = new Map(legacy.map(entry => [entry.id, EntryModel.createId()]));
+                await Promise.all(legacy.map(async entry => {
+                    await promisify(store.delete(entry.id));
+                    await promisify(store.add({ ...entry, id: renamed.get(entry.id) }));
+                }));
+
+                await transformRecords(transaction.objectStore('outbox'), record => {
+                    if (!renamed.has(record.entryId)) return undefined;
+                    const id = renamed.get(record.entryId);
+                    return { ...record, entryId: id, snapshot: record.snapshot && { ...record.snapshot, id } };
+                });
+
+                await transformRecords(transaction.objectStore('conflicts'), conflict => {
+                    if (!renamed.has(conflict.entryId)) return undefined;
+                    const id = renamed.get(conflict.entryId);
+                    return { ...conflict, entryId: id, local: conflict.local && { ...conflict.local, id } };
+                });
+            }
+        },
+        {
+            version: 7,
+            description: 'Track local entries uploaded to an account',
+            up: (db) => {
+                if (!db.objectStoreNames.contains('uploads')) {
+                    db.createObjectStore('uploads', { keyPath: 'entryId' });
+                }
+            }
+        },
+        {
+            version: 8,
+            description: 'Add entry revision history',
+            up: (db) => {
+                if (!db.objectStoreNames.contains('revisions')) {
+                    db.createObjectStore('revisions', { keyPath: 'id' });
+                }
+            }
+        },
+        {
+            version: 9,
+            description: 'Add full-text search index',
+            up: async (db, transaction) => {
+                if (db.objectStoreNames.contains('searchIndex')) return;
+
+                // One record per word per entry, looked up by word prefix
+                const index = db.createObjectStore('searchIndex', { keyPath: ['token', 'entryId'] });
+                index.createIndex('entryId', 'entryId', { unique: false });
+
+                const entries = await promisify(transaction.objectStore('entries').getAll());
+                await Promise.all(entries.flatMap(entry => SearchQuery.entryTokens(entry)
+                    .map(token => promisify(index.put({ token, entryId: entry.id })))));
+            }
+        },
+        {
+            version: 10,
+            description: 'Index entries by type and time for filtered lists',
+            up: (db, transaction) => {
+                ensureIndex(transaction.objectStore('entries'), 'type_timestamp', ['type', 'timestamp']);
+            }
+        },
+        {
+            version: 11,
+            description: 'Normalize tag case and index entries by tag',
+            up: (db, transaction) => {
+                const store = transaction.objectStore('entries');
+                ensureIndex(store, 'tags', 'tags', { unique: false, multiEntry: true });
+
+                return transformRecords(store, entry => {
+                    const tags = EntryModel.normalizeTags(entry.tags);
+                    const unchanged = Array.isArray(entry.tags) && tags.join('\n') === entry.tags.join('\n');
+                    return unchanged ? undefined : { ...entry, tags };
+                });
+            }
+        },
+        {
+            version: 12,
+            description: 'Add photo and audio attachments store',
+            up: (db) => {
+                if (!db.objectStoreNames.contains('attachments')) {
+                    db.createObjectStore('attachments', { keyPath: 'id' });
+                }
+            }
+        },
+        {
+            version: 13,
+            description: 'Add store for changes the server rejected',
+            up: (db) => {
+                if (!db.objectStoreNames.contains('failedChanges')) {
+                    db.createObjectStore('failedChanges', { keyPath: 'seq' });
+                }
+            }
+        }
+    ];
+
+    const LATEST_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+    /**
+     * Apply migrations between two versions
+     * @param {IDBDatabase} db
+     * @param {IDBTransaction} transaction - The versionchange transaction
+     * @param {number} oldVersion - Version stored on disk (0 for a new database)
+     * @param {number} newVersion - Version being opened
+     * @param {Function} [onProgress] - Called with { step, total, version, description } before each migration
+     * @returns {Promise<void>} Rejects with the failing migration named in the message
+     */
+    const run = async (db, transaction, oldVersion, newVersion, onProgress) => {
+        const pending = MIGRATIONS.filter(m => m.version > oldVersion && m.version <= newVersion);
+
+        for (const [index, migration] of pending.entries()) {
+            if (onProgress) {
+                onProgress({
+                    step: index + 1,
+                    total: pending.length,
+                    version: migration.version,
+                    description: migration.description
+                });
+            }
+
+            try {
+                await migration.up(db, transaction);
+            } catch (error) {
+                throw new Error(`Migration to v${migration.version} (${migration.description}) failed: ${error.message}`);
+            }
+        }
+    };
+
+    // Public API
+    return {
+        LATEST_VERSION,
+        run
+    };
+})();
@@ -0,0 +1,406 @@
+/**
+ * IndexedDB Storage Adapter
+ * Local, offline-first persistence in the browser
+ * Also holds the outbox, conflict, failed change, upload and revision records, attachment files,
+ * and an inverted index of entry words for search
+ */
+
+const IndexedDBAdapter = (() => {
+    const DB_NAME = 'ChronicleDB';
+    const STORE_NAME = 'entries';
+    const SEARCH_STORE = 'searchIndex';
+
+    let db = null;
+
+    /**
+     * Open the database, running any pending migrations
+     * @param {Object} [options]
+     * @param {Function} [options.onProgress] - Called with migration progress, or { blocked: true }
+     *     while another tab keeps the old version open
+     * @returns {Promise<IDBDatabase>}
+     */
+    const init = ({ onProgress } = {}) => {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, IndexedDBMigrations.LATEST_VERSION);
+            let migrationError = null;
+
+            request.onerror = () => reject(migrationError || request.error);
+            request.onblocked = () => {
+                if (onProgress) onProgress({ blocked: true });
+            };
+            request.onsuccess = () => {
+                db = request.result;
+
+                // Let a newer version in another tab upgrade the database
+                db.onversionchange = () => {
+                    db.close();
+                    db = null;
+                    console.warn('Database closed for an upgrade in another tab, reload to continue');
+                };
+                resolve(db);
+            };
+
+            request.onupgradeneeded = (event) => {
+                const transaction = request.transaction;
+
+                IndexedDBMigrations.run(request.result, transaction, event.oldVersion, event.newVersion, onProgress)
+                    .catch(error => {
+                        // Roll back every migration so the database stays at its old version
+                        migrationError = error;
+                        transaction.abort();
+                    });
+            };
+        });
+    };
+
+    /**
+     * Check if the database is open
+     * @returns {boolean}
+     */
+    const isReady = () => db !== null;
+
+    /**
+     * Run a single request against an object store
+     * @param {string} storeName
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} makeRequest - Receives the store, returns an IDBRequest
+     * @returns {Promise<*>} Request result
+     */
+    const runRequest = (storeName, mode, makeRequest) => {
+        return new Promise((resolve, reject) => {
+            if (!db) {
+                reject(new Error('Database not initialized'));
+                return;
+            }
+
+            const transaction = db.transaction([storeName], mode);
+            const request = makeRequest(transaction.objectStore(storeName));
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    };
+
+    /**
+     * Write to the entries store and reindex the entry's words in the same transaction
+     * @param {string} id - Entry ID
+     * @param {Function} writeEntry - Receives the entries store and makes the write
+     * @param {Array<string>} tokens - Words to index, empty to drop the entry from the index
+     * @returns {Promise<void>}
+     */
+    const writeIndexed = (id, writeEntry, tokens) => {
+        return new Promise((resolve, reject) => {
+            if (!db) {
+                reject(new Error('Database not initialized'));
+                return;
+            }
+
+            const transaction = db.transaction([STORE_NAME, SEARCH_STORE], 'readwrite');
+            const searchStore = transaction.objectStore(SEARCH_STORE);
+            writeEntry(transaction.objectStore(STORE_NAME));
+
+            const stale = searchStore.index('entryId').getAllKeys(id);
+            stale.onsuccess = () => {
+                stale.result.forEach(key => searchStore.delete(key));
+                tokens.forEach(token => searchStore.put({ token, entryId: id }));
+            };
+
+            transaction.oncomplete = () => resolve();
+            transaction.onabort = () => reject(transaction.error);
+        });
+    };
+
+    /**
+     * Sort entries newest first
+     * @param {Array} entries
+     * @returns {Array}
+     */
+    const sortByNewest = (entries) => entries.sort((a, b) => b.timestamp - a.timestamp);
+
+    /**
+     * Normalize stored records, leaving out trashed entries
+     * @param {Array} records
+     * @returns {Array}
+     */
+    const liveEntries = (records) => records.map(EntryModel.normalize).filter(entry => !EntryModel.isTrashed(entry));
+
+    /**
+     * Create entry
+     * @param {Object} entryData - Keeps entryData.id when given, otherwise gets a new one
+     * @returns {Promise<string>} Entry ID
+     */
+    const create = async (entryData) => {
+        const entry = EntryModel.normalize({
+            ...entryData,
+            id: entryData.id || EntryModel.createId(),
+            updatedAt: Date.now(),
+            version: 1
+        });
+
+        await writeIndexed(entry.id, store => store.add(entry), SearchQuery.entryTokens(entry));
+        return entry.id;
+    };
+
+    /**
+     * Get all entries outside the trash, newest first
+     * @returns {Promise<Array>}
+     */
+    const getAll = async () => {
+        const entries = await runRequest(STORE_NAME, 'readonly', store => store.getAll());
+        return sortByNewest(liveEntries(entries));
+    };
+
+    /**
+     * Get one page of entries outside the trash, newest first, walking a time index backwards
+     * A type filter walks the type and time index, so only that type is read
+     * @param {Object|null} cursor - { timestamp, ids }: start at or before timestamp, skipping ids
+     * @param {number} limit
+     * @param {EntryFilters|null} [filters]
+     * @returns {Promise<Object>} { entries, hasMore }
+     */
+    const getPage = (cursor, limit, filters = null) => {
+        return new Promise((resolve, reject) => {
+            if (!db) {
+                reject(new Error('Database not initialized'));
+                return;
+            }
+
+            const { type = null, tags = [], start = null, end = null } = filters || {};
+            const newest = Math.min(cursor ? cursor.timestamp : Infinity, end ? end.getTime() : Infinity);
+            const oldest = start ? start.getTime() : -Infinity;
+            if (oldest > newest) {
+                resolve({ entries: [], hasMore: false });
+                return;
+            }
+
+            const range = type
+                ? IDBKeyRange.bound([type, oldest], [type, newest])
+                : IDBKeyRange.bound(oldest, newest);
+            const skip = new Set(cursor ? cursor.ids : []);
+            const entries = [];
+            const request = db.transaction([STORE_NAME], 'readonly')
+                .objectStore(STORE_NAME)
+                .index(type ? 'type_timestamp' : 'timestamp')
+                .openCursor(range, 'prev');
+
+            request.onsuccess = () => {
+                const position = request.result;
+
+                // Read one past the limit to know if there's another page
+                if (!position || entries.length > limit) {
+                    resolve({ entries: entries.slice(0, limit), hasMore: entries.length > limit });
+                    return;
+                }
+
+                const entry = EntryModel.normalize(position.value);
+                if (!skip.has(entry.id) && !EntryModel.isTrashed(entry) &&
+                    tags.every(tag => entry.tags.includes(tag))) {
+                    entries.push(entry);
+                }
+                position.continue();
+            };
+            request.onerror = () => reject(request.error);
+        });
+    };
+
+    /**
+     * Get entry by ID
+     * @param {string} id
+     * @returns {Promise<Object|undefined>}
+     */
+    const get = async (id) => {
+        const entry = await runRequest(STORE_NAME, 'readonly', store => store.get(id));
+        return entry ? EntryModel.normalize(entry) : entry;
+    };
+
+    /**
+     * Get entries between two dates
+     * @param {Date} startDate
+     * @param {Date} endDate
+     * @returns {Promise<Array>}
+     */
+    const getByDateRange = async (startDate, endDate) => {
+        const range = IDBKeyRange.bound(startDate.toISOString(), endDate.toISOString());
+        const entries = await runRequest(STORE_NAME, 'readonly', store => store.index('date').getAll(range));
+        return sortByNewest(liveEntries(entries));
+    };
+
+    /**
+     * Get entries of one type
+     * @param {string} type
+     * @returns {Promise<Array>}
+     */
+    const getByType = async (type) => {
+        const entries = await runRequest(STORE_NAME, 'readonly', store => store.index('type').getAll(type));
+        return sortByNewest(liveEntries(entries));
+    };
+
+    /**
+     * Get entries with a tag
+     * @param {string} tag - Normalized tag
+     * @returns {Promise<Array>}
+     */
+    const getByTag = async (tag) => {
+        const entries = await runRequest(STORE_NAME, 'readonly', store => store.index('tags').getAll(tag));
+        return sortByNewest(liveEntries(entries));
+    };
+
+    /**
+     * Count entries outside the trash per tag, walking the tag index
+     * @returns {Promise<Array>} { tag, count }, most used first
+     */
+    const getTags = () => {
+        return new Promise((resolve, reject) => {
+            if (!db) {
+                reject(new Error('Database not initialized'));
+                return;
+            }
+
+            const tags = [];
+            const request = db.transaction([STORE_NAME], 'readonly')
+                .objectStore(STORE_NAME)
+                .index('tags')
+                .openCursor();
+
+            request.onsuccess = () => {
+                const position = request.result;
+                if (!position) {
+                    resolve(EntryModel.countTags(tags));
+                    return;
+                }
+
+                if (!EntryModel.isTrashed(position.value)) {
+                    tags.push(position.key);
+                }
+                position.continue();
+            };
+            request.onerror = () => reject(request.error);
+        });
+    };
+
+    /**
+     * Search entries, narrowing candidates with the word index before matching them in full
+     * @param {ParsedQuery} query
+     * @param {number} limit
+     * @returns {Promise<Array>} Newest first
+     */
+    const search = async (query, limit) => {
+        const terms = SearchQuery.indexTerms(query);
+        let candidates;
+
+        if (terms.length > 0) {
+            // Entries with a word starting with each term, intersected
+            const idSets = await Promise.all(terms.map(async term => {
+                const keys = await runRequest(SEARCH_STORE, 'readonly',
+                    store => store.getAllKeys(IDBKeyRange.bound([term], [term + '\uffff'])));
+                return new Set(keys.map(([, entryId]) => entryId));
+            }));
+            const ids = [...idSets.reduce((a, b) => new Set([...a].filter(id => b.has(id))))];
+            candidates = (await Promise.all(ids.map(get))).filter(Boolean);
+        } else {
+            candidates = liveEntries(await runRequest(STORE_NAME, 'readonly', store => store.getAll()));
+        }
+
+        return sortByNewest(candidates.filter(entry => SearchQuery.matches(entry, query))).slice(0, limit);
+    };
+
+    /**
+     * Get entries in the trash, most recently deleted first
+     * @returns {Promise<Array>}
+     */
+    const getTrash = async () => {
+        const entries = await runRequest(STORE_NAME, 'readonly', store => store.getAll());
+        return entries.map(EntryModel.normalize)
+            .filter(EntryModel.isTrashed)
+            .sort((a, b) => b.deletedAt - a.deletedAt);
+    };
+
+    /**
+     * Update entry, bumping its local version
+     * @param {string} id
+     * @param {Object} updates
+     * @returns {Promise<Object>} Updated entry
+     */
+    const update = async (id, updates) => {
+        const entry = await get(id);
+        if (!entry) {
+            throw new Error('Entry not found');
+        }
+
+        const updatedEntry = EntryModel.normalize({
+            ...entry,
+            ...EntryModel.normalizeUpdates(updates),
+            id,
+            updatedAt: Date.now(),
+            version: entry.version + 1
+        });
+
+        await writeIndexed(id, store => store.put(updatedEntry), SearchQuery.entryTokens(updatedEntry));
+        return updatedEntry;
+    };
+
+    /**
+     * Delete entry
+     * @param {string} id
+     * @returns {Promise<boolean>}
+     */
+    const remove = async (id) => {
+        await writeIndexed(id, store => store.delete(id), []);
+        return true;
+    };
+
+    /**
+     * Delete all entries
+     */
+    const clear = async () => {
+        await runRequest(STORE_NAME, 'readwrite', store => store.clear());
+        await runRequest(SEARCH_STORE, 'readwrite', store => store.clear());
+    };
+
+    /**
+     * Add or replace a record in an auxiliary store (outbox, conflicts, failedChanges, uploads, revisions, attachments)
+     * @param {string} storeName
+     * @param {Object} record
+     * @returns {Promise<number|string>} Record key
+     */
+    const putRecord = (storeName, record) => runRequest(storeName, 'readwrite', store => store.put(record));
+
+    /**
+     * Get all records from an auxiliary store, in key order
+     * @param {string} storeName
+     * @returns {Promise<Array>}
+     */
+    const getRecords = (storeName) => runRequest(storeName, 'readonly', store => store.getAll());
+
+    /**
+     * Delete a record from an auxiliary store
+     * @param {string} storeName
+     * @param {number|string} key
+     */
+    const deleteRecord = async (storeName, key) => {
+        await runRequest(storeName, 'readwrite', store => store.delete(key));
+    };
+
+    // Public API
+    return {
+        name: 'indexeddb',
+        init,
+        isReady,
+        create,
+        getAll,
+        getPage,
+        get,
+        getByDateRange,
+        getByType,
+        getByTag,
+        getTags,
+        search,
+        getTrash,
+        update,
+        remove,
+        clear,
+        putRecord,
+        getRecords,
+        deleteRecord
+    };
+})();
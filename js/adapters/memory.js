@@ -0,0 +1,268 @@
+/**
+ * In-Memory Storage Adapter
+ * Non-persistent local storage for tests and private sessions
+ * Mirrors the IndexedDB adapter, including the auxiliary record stores
+ */
+
+const MemoryAdapter = (() => {
+    // Key path of each auxiliary store, matching the IndexedDB object stores
+    const RECORD_KEYS = {
+        outbox: 'seq',
+        conflicts: 'id',
+        failedChanges: 'seq',
+        uploads: 'entryId',
+        revisions: 'id',
+        attachments: 'id'
+    };
+
+    let entries = new Map();
+    let records = {};
+    let nextKey = 1;
+    let ready = false;
+
+    /**
+     * Start with empty stores
+     */
+    const init = async () => {
+        entries = new Map();
+        records = {};
+        nextKey = 1;
+        ready = true;
+    };
+
+    /**
+     * Check if the adapter has been initialized
+     * @returns {boolean}
+     */
+    const isReady = () => ready;
+
+    /**
+     * Copy an entry so callers can't mutate stored state
+     * @param {Object} entry
+     * @returns {Object}
+     */
+    const copy = (entry) => entry ? structuredClone(entry) : entry;
+
+    /**
+     * Sort entries newest first
+     * @param {Array} list
+     * @returns {Array}
+     */
+    const sortByNewest = (list) => list.sort((a, b) => b.timestamp - a.timestamp);
+
+    /**
+     * Stored entries that aren't in the trash
+     * @returns {Array}
+     */
+    const liveEntries = () => [...entries.values()].filter(entry => !EntryModel.isTrashed(entry));
+
+    /**
+     * Create entry
+     * @param {Object} entryData - Keeps entryData.id when given, otherwise gets a new one
+     * @returns {Promise<string>} Entry ID
+     */
+    const create = async (entryData) => {
+        const entry = EntryModel.normalize({
+            ...entryData,
+            id: entryData.id || EntryModel.createId(),
+            updatedAt: Date.now(),
+            version: 1
+        });
+
+        entries.set(entry.id, entry);
+        return entry.id;
+    };
+
+    /**
+     * Get all entries outside the trash, newest first
+     * @returns {Promise<Array>}
+     */
+    const getAll = async () => sortByNewest(liveEntries().map(copy));
+
+    /**
+     * Get one page of entries, newest first
+     * @param {Object|null} cursor - { timestamp, ids }: start at or before timestamp, skipping ids
+     * @param {number} limit
+     * @param {EntryFilters|null} [filters]
+     * @returns {Promise<Object>} { entries, hasMore }
+     */
+    const getPage = async (cursor, limit, filters = null) => {
+        const matches = (await getAll()).filter(entry =>
+            (!cursor || (entry.timestamp <= cursor.timestamp && !cursor.ids.includes(entry.id))) &&
+            EntryModel.matchesFilters(entry, filters)
+        );
+        return { entries: matches.slice(0, limit), hasMore: matches.length > limit };
+    };
+
+    /**
+     * Get entry by ID
+     * @param {string} id
+     * @returns {Promise<Object|undefined>}
+     */
+    const get = async (id) => copy(entries.get(id));
+
+    /**
+     * Get entries between two dates
+     * @param {Date} startDate
+     * @param {Date} endDate
+     * @returns {Promise<Array>}
+     */
+    const getByDateRange = async (startDate, endDate) => {
+        const start = startDate.toISOString();
+        const end = endDate.toISOString();
+        const matches = liveEntries().filter(entry => entry.date >= start && entry.date <= end);
+        return sortByNewest(matches.map(copy));
+    };
+
+    /**
+     * Get entries of one type
+     * @param {string} type
+     * @returns {Promise<Array>}
+     */
+    const getByType = async (type) => {
+        const matches = liveEntries().filter(entry => entry.type === type);
+        return sortByNewest(matches.map(copy));
+    };
+
+    /**
+     * Get entries with a tag
+     * @param {string} tag - Normalized tag
+     * @returns {Promise<Array>}
+     */
+    const getByTag = async (tag) => {
+        const matches = liveEntries().filter(entry => entry.tags.includes(tag));
+        return sortByNewest(matches.map(copy));
+    };
+
+    /**
+     * Count entries per tag
+     * @returns {Promise<Array>} { tag, count }, most used first
+     */
+    const getTags = async () => EntryModel.countTags(liveEntries().flatMap(entry => entry.tags));
+
+    /**
+     * Search entries by matching every one against the query
+     * @param {ParsedQuery} query
+     * @param {number} limit
+     * @returns {Promise<Array>} Newest first
+     */
+    const search = async (query, limit) => {
+        return sortByNewest(liveEntries().filter(entry => SearchQuery.matches(entry, query)))
+            .slice(0, limit)
+            .map(copy);
+    };
+
+    /**
+     * Get entries in the trash, most recently deleted first
+     * @returns {Promise<Array>}
+     */
+    const getTrash = async () => {
+        return [...entries.values()]
+            .filter(EntryModel.isTrashed)
+            .sort((a, b) => b.deletedAt - a.deletedAt)
+            .map(copy);
+    };
+
+    /**
+     * Update entry, bumping its local version
+     * @param {string} id
+     * @param {Object} updates
+     * @returns {Promise<Object>} Updated entry
+     */
+    const update = async (id, updates) => {
+        const entry = entries.get(id);
+        if (!entry) {
+            throw new Error('Entry not found');
+        }
+
+        const updatedEntry = EntryModel.normalize({
+            ...entry,
+            ...copy(EntryModel.normalizeUpdates(updates)),
+            id,
+            updatedAt: Date.now(),
+            version: entry.version + 1
+        });
+
+        entries.set(id, updatedEntry);
+        return copy(updatedEntry);
+    };
+
+    /**
+     * Delete entry
+     * @param {string} id
+     * @returns {Promise<boolean>}
+     */
+    const remove = async (id) => {
+        entries.delete(id);
+        return true;
+    };
+
+    /**
+     * Delete all entries
+     */
+    const clear = async () => {
+        entries.clear();
+    };
+
+    /**
+     * Add or replace a record in an auxiliary store
+     * @param {string} storeName
+     * @param {Object} record
+     * @returns {Promise<number|string>} Record key
+     */
+    const putRecord = async (storeName, record) => {
+        const keyPath = RECORD_KEYS[storeName] || 'id';
+        const stored = copy(record);
+        if (stored[keyPath] === undefined) {
+            stored[keyPath] = nextKey++;
+        }
+
+        records[storeName] = records[storeName] || new Map();
+        records[storeName].set(stored[keyPath], stored);
+        return stored[keyPath];
+    };
+
+    /**
+     * Get all records from an auxiliary store, in key order
+     * @param {string} storeName
+     * @returns {Promise<Array>}
+     */
+    const getRecords = async (storeName) => {
+        const store = records[storeName] || new Map();
+        return [...store.entries()]
+            .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+            .map(([, record]) => copy(record));
+    };
+
+    /**
+     * Delete a record from an auxiliary store
+     * @param {string} storeName
+     * @param {number|string} key
+     */
+    const deleteRecord = async (storeName, key) => {
+        records[storeName]?.delete(key);
+    };
+
+    // Public API
+    return {
+        name: 'memory',
+        init,
+        isReady,
+        create,
+        getAll,
+        getPage,
+        get,
+        getByDateRange,
+        getByType,
+        getByTag,
+        getTags,
+        search,
+        getTrash,
+        update,
+        remove,
+        clear,
+        putRecord,
+        getRecords,
+        deleteRecord
+    };
+})();
@@ -0,0 +1,519 @@
+/**
+ * Supabase Storage Adapter
+ * Cloud persistence in the `entries` table for signed-in users
+ * Attachment files live in the `attachments` Storage bucket, one folder per user
+ */
+
+const SupabaseAdapter = (() => {
+    const TABLE = 'entries';
+    const REVISIONS_TABLE = 'entry_revisions';
+    const ATTACHMENTS_TABLE = 'entry_attachments';
+    const ATTACHMENTS_BUCKET = 'attachments';
+    const SIGNED_URL_SECONDS = 60 * 60;
+    // IDs per `in` filter, so the request URL stays under the server's length limit
+    const ID_BATCH_SIZE = 100;
+
+    /**
+     * Nothing to open, the client is created in config.js
+     */
+    const init = async () => {};
+
+    /**
+     * Check if Supabase can serve requests (configured and signed in)
+     * @returns {boolean}
+     */
+    const isReady = () => isSupabaseConfigured() && Auth.getUserId() !== null;
+
+    /**
+     * Start a query on the entries table
+     */
+    const fromEntries = () => getSupabaseClient().from(TABLE);
+
+    /**
+     * Select the current user's entries that aren't in the trash
+     */
+    const selectLive = () => fromEntries()
+        .select('*')
+        .eq('user_id', Auth.getUserId())
+        .is('deleted_at', null);
+
+    /**
+     * Create entry
+     * @param {Object} entryData - Keeps entryData.id when given, otherwise gets a new one
+     * @returns {Promise<string>} Entry ID
+     */
+    const create = async (entryData) => {
+        const entry = EntryModel.normalize({ ...entryData, id: entryData.id || EntryModel.createId() });
+        const row = EntryModel.toRow(entry, Auth.getUserId());
+
+        const { data, error } = await fromEntries()
+            .insert([row])
+            .select()
+            .single();
+
+        if (error) throw error;
+        return data.id;
+    };
+
+    /**
+     * Get all entries outside the trash, newest first
+     * @returns {Promise<Array>}
+     */
+    const getAll = async () => {
+        const { data, error } = await selectLive()
+            .order('created_at', { ascending: false });
+
+        if (error) throw error;
+        return data.map(EntryModel.fromRow);
+    };
+
+    /**
+     * Get one page of entries, newest first
+     * @param {Object|null} cursor - { timestamp, ids }: start at or before timestamp, skipping ids
+     * @param {number} limit
+     * @param {EntryFilters|null} [filters]
+     * @returns {Promise<Object>} { entries, hasMore }
+     */
+    const getPage = async (cursor, limit, filters = null) => {
+        const { type = null, tags = [], start = null, end = null } = filters || {};
+        const newest = Math.min(cursor ? cursor.timestamp : Infinity, end ? end.getTime() : Infinity);
+        let query = selectLive()
+            .order('created_at', { ascending: false });
+
+        // created_at keeps microseconds, so compare against the next millisecond
+        if (newest !== Infinity) {
+            query = query.lt('created_at', new Date(newest + 1).toISOString());
+        }
+        if (start) {
+            query = query.gte('created_at', start.toISOString());
+        }
+        if (type) {
+            query = query.eq('type', type);
+        }
+        if (tags.length > 0) {
+            query = query.contains('tags', tags);
+        }
+
+        // Over-fetch by the skipped ids, plus one row to know if there's another page
+        const skipped = cursor ? cursor.ids.length : 0;
+        const { data, error } = await query.range(0, limit + skipped);
+
+        if (error) throw error;
+        const entries = data.map(EntryModel.fromRow)
+            .filter(entry => !cursor || !cursor.ids.includes(entry.id));
+        return { entries: entries.slice(0, limit), hasMore: entries.length > limit };
+    };
+
+    /**
+     * Get entry by ID
+     * @param {string} id
+     * @returns {Promise<Object|null>} Null if the entry doesn't exist
+     */
+    const get = async (id) => {
+        const { data, error } = await fromEntries()
+            .select('*')
+            .eq('id', id)
+            .maybeSingle();
+
+        if (error) throw error;
+        return data ? EntryModel.fromRow(data) : null;
+    };
+
+    /**
+     * Get entries between two dates
+     * @param {Date} startDate
+     * @param {Date} endDate
+     * @returns {Promise<Array>}
+     */
+    const getByDateRange = async (startDate, endDate) => {
+        const { data, error } = await selectLive()
+            .gte('created_at', startDate.toISOString())
+            .lte('created_at', endDate.toISOString())
+            .order('created_at', { ascending: false });
+
+        if (error) throw error;
+        return data.map(EntryModel.fromRow);
+    };
+
+    /**
+     * Get entries of one type
+     * @param {string} type
+     * @returns {Promise<Array>}
+     */
+    const getByType = async (type) => {
+        const { data, error } = await selectLive()
+            .eq('type', type)
+            .order('created_at', { ascending: false });
+
+        if (error) throw error;
+        return data.map(EntryModel.fromRow);
+    };
+
+    /**
+     * Get entries with a tag
+     * @param {string} tag - Normalized tag
+     * @returns {Promise<Array>}
+     */
+    const getByTag = async (tag) => {
+        const { data, error } = await selectLive()
+            .contains('tags', [tag])
+            .order('created_at', { ascending: false });
+
+        if (error) throw error;
+        return data.map(EntryModel.fromRow);
+    };
+
+    /**
+     * Count entries per tag, fetching only the tags column
+     * @returns {Promise<Array>} { tag, count }, most used first
+     */
+    const getTags = async () => {
+        const { data, error } = await fromEntries()
+            .select('tags')
+            .eq('user_id', Auth.getUserId())
+            .is('deleted_at', null);
+
+        if (error) throw error;
+        return EntryModel.countTags(data.flatMap(row => EntryModel.normalizeTags(row.tags)));
+    };
+
+    /**
+     * Search entries with Postgres full-text search on the `search` column
+     * @param {ParsedQuery} query
+     * @param {number} limit
+     * @returns {Promise<Array>} Newest first
+     */
+    const search = async (query, limit) => {
+        let request = selectLive();
+
+        // Tokens are letters and digits only, so they're safe inside a tsquery
+        const tsquery = [
+            ...query.terms.map(term => `${term}:*`),
+            ...query.phrases.map(phrase => `(${phrase.join(' <-> ')})`)
+        ].join(' & ');
+
+        if (tsquery) {
+            request = request.textSearch('search', tsquery, { config: 'simple' });
+        }
+        if (query.tags.length > 0) {
+            request = request.contains('tags', query.tags);
+        }
+        if (query.types.length > 0) {
+            request = request.in('type', query.types);
+        }
+
+        const { data, error } = await request
+            .order('created_at', { ascending: false })
+            .limit(limit);
+
+        if (error) throw error;
+        return data.map(EntryModel.fromRow);
+    };
+
+    /**
+     * Get entries in the trash, most recently deleted first
+     * @returns {Promise<Array>}
+     */
+    const getTrash = async () => {
+        const { data, error } = await fromEntries()
+            .select('*')
+            .eq('user_id', Auth.getUserId())
+            .not('deleted_at', 'is', null)
+            .order('deleted_at', { ascending: false });
+
+        if (error) throw error;
+        return data.map(EntryModel.fromRow);
+    };
+
+    /**
+     * Update entry
+     * @param {string} id
+     * @param {Object} updates
+     * @param {number|null} [expectedVersion] - Only update if the row is still at this version
+     * @returns {Promise<Object|null>} Updated entry, null if no row matched
+     */
+    const update = async (id, updates, expectedVersion = null) => {
+        let query = fromEntries()
+            .update(EntryModel.toRowUpdates(updates))
+            .eq('id', id);
+
+        if (expectedVersion !== null) {
+            query = query.eq('version', expectedVersion);
+        }
+
+        const { data, error } = await query.select();
+
+        if (error) throw error;
+        return data.length > 0 ? EntryModel.fromRow(data[0]) : null;
+    };
+
+    /**
+     * Delete entry and its attachment files
+     * @param {string} id
+     * @param {number|null} [expectedVersion] - Only delete if the row is still at this version
+     * @returns {Promise<boolean>} False if no row matched
+     */
+    const remove = async (id, expectedVersion = null) => {
+        // Attachment rows go with the entry, so look up their files first
+        const paths = await getAttachmentPaths(query => query.eq('entry_id', id));
+
+        let query = fromEntries()
+            .delete()
+            .eq('id', id);
+
+        if (expectedVersion !== null) {
+            query = query.eq('version', expectedVersion);
+        }
+
+        const { data, error } = await query.select();
+
+        if (error) throw error;
+        if (data.length === 0) return false;
+
+        await removeFiles(paths);
+        return true;
+    };
+
+    /**
+     * Delete all of the current user's entries and attachment files
+     */
+    const clear = async () => {
+        const paths = await getAttachmentPaths(query => query.eq('user_id', Auth.getUserId()));
+
+        const { error } = await fromEntries()
+            .delete()
+            .eq('user_id', Auth.getUserId());
+
+        if (error) throw error;
+        await removeFiles(paths);
+    };
+
+    /**
+     * Save an entry revision
+     * @param {Object} revision - { id, entryId, type, content, tags, savedAt }
+     */
+    const addRevision = async (revision) => {
+        const { error } = await getSupabaseClient()
+            .from(REVISIONS_TABLE)
+            .insert([{
+                id: revision.id,
+                entry_id: revision.entryId,
+                user_id: Auth.getUserId(),
+                type: revision.type,
+                content: revision.content,
+                tags: revision.tags,
+                saved_at: new Date(revision.savedAt).toISOString()
+            }]);
+
+        if (error) throw error;
+    };
+
+    /**
+     * Get the revisions of an entry
+     * @param {string} entryId
+     * @returns {Promise<Array>} Oldest first
+     */
+    const getRevisions = async (entryId) => {
+        const { data, error } = await getSupabaseClient()
+            .from(REVISIONS_TABLE)
+            .select('*')
+            .eq('entry_id', entryId)
+            .order('saved_at', { ascending: true });
+
+        if (error) throw error;
+        return data.map(row => ({
+            id: row.id,
+            entryId: row.entry_id,
+            userId: row.user_id,
+            type: row.type,
+            content: row.content,
+            tags: row.tags || [],
+            savedAt: new Date(row.saved_at).getTime()
+        }));
+    };
+
+    /**
+     * Start a request on the attachments bucket
+     */
+    const fromBucket = () => getSupabaseClient().storage.from(ATTACHMENTS_BUCKET);
+
+    /**
+     * Get the file paths of attachment rows
+     * @param {Function} narrow - Receives the query and adds filters to it
+     * @returns {Promise<Array<string>>}
+     */
+    const getAttachmentPaths = async (narrow) => {
+        const { data, error } = await narrow(getSupabaseClient()
+            .from(ATTACHMENTS_TABLE)
+            .select('path'));
+
+        if (error) throw error;
+        return data.map(row => row.path);
+    };
+
+    /**
+     * Delete files from the attachments bucket
+     * Their rows are already gone, so a failure only leaves unreachable files behind
+     * @param {Array<string>} paths
+     */
+    const removeFiles = async (paths) => {
+        if (paths.length === 0) return;
+
+        const { error } = await fromBucket().remove(paths);
+        if (error) {
+            console.warn('Failed to delete attachment files:', error);
+        }
+    };
+
+    /**
+     * Upload an attachment file and record it
+     * Files are stored under the user's ID, which the bucket policies check
+     * @param {Object} attachment - { id, entryId, name, mimeType, size, createdAt }
+     * @param {Blob} blob
+     */
+    const addAttachment = async (attachment, blob) => {
+        const userId = Auth.getUserId();
+        const path = `${userId}/${attachment.entryId}/${attachment.id}`;
+
+        const { error: uploadError } = await fromBucket()
+            .upload(path, blob, { contentType: attachment.mimeType, upsert: true });
+
+        if (uploadError) throw uploadError;
+
+        // Upsert, so a retried upload doesn't fail on the row it already wrote
+        const { error } = await getSupabaseClient()
+            .from(ATTACHMENTS_TABLE)
+            .upsert([{
+                id: attachment.id,
+                entry_id: attachment.entryId,
+                user_id: userId,
+                name: attachment.name,
+                mime_type: attachment.mimeType,
+                size: attachment.size,
+                path,
+                created_at: new Date(attachment.createdAt).toISOString()
+            }]);
+
+        if (error) {
+            await removeFiles([path]);
+            throw error;
+        }
+    };
+
+    /**
+     * Get the attachments of some entries, with signed URLs to show them
+     * @param {Array<string>} entryIds
+     * @returns {Promise<Array>} Oldest first
+     */
+    const getAttachments = async (entryIds) => {
+        const data = [];
+        for (let start = 0; start < entryIds.length; start += ID_BATCH_SIZE) {
+            const { data: rows, error } = await getSupabaseClient()
+                .from(ATTACHMENTS_TABLE)
+                .select('*')
+                .in('entry_id', entryIds.slice(start, start + ID_BATCH_SIZE))
+                .order('created_at', { ascending: true });
+
+            if (error) throw error;
+            data.push(...rows);
+        }
+        if (data.length === 0) return [];
+
+        const { data: signed, error: signError } = await fromBucket()
+            .createSignedUrls(data.map(row => row.path), SIGNED_URL_SECONDS);
+
+        if (signError) throw signError;
+        const urls = new Map(signed.map(item => [item.path, item.signedUrl]));
+
+        return data.map(row => ({
+            id: row.id,
+            entryId: row.entry_id,
+            userId: row.user_id,
+            name: row.name,
+            mimeType: row.mime_type,
+            kind: row.mime_type.split('/')[0],
+            size: row.size,
+            path: row.path,
+            url: urls.get(row.path) || null,
+            createdAt: new Date(row.created_at).getTime()
+        })).sort((a, b) => a.createdAt - b.createdAt);
+    };
+
+    /**
+     * Download an attachment file
+     * @param {Object} attachment - From getAttachments()
+     * @returns {Promise<Blob>}
+     */
+    const getAttachmentBlob = async (attachment) => {
+        const { data, error } = await fromBucket().download(attachment.path);
+
+        if (error) throw error;
+        return data;
+    };
+
+    /**
+     * Delete an attachment and its file
+     * @param {Object} attachment - From getAttachments()
+     */
+    const removeAttachment = async (attachment) => {
+        const { error } = await getSupabaseClient()
+            .from(ATTACHMENTS_TABLE)
+            .delete()
+            .eq('id', attachment.id);
+
+        if (error) throw error;
+        await removeFiles([attachment.path]);
+    };
+
+    /**
+     * Listen for entry changes made by other sessions
+     * Deletes can't be filtered by user, so they arrive for any entry ID
+     * @param {Function} onChange - Called with { type: 'insert'|'update'|'delete', id, entry }
+     * @returns {Function} Stops listening
+     */
+    const subscribe = (onChange) => {
+        const client = getSupabaseClient();
+        const filter = `user_id=eq.${Auth.getUserId()}`;
+
+        const forward = (type) => (payload) => {
+            const entry = type === 'delete' ? null : EntryModel.fromRow(payload.new);
+            onChange({ type, id: entry ? entry.id : payload.old.id, entry });
+        };
+
+        const channel = client
+            .channel(`entries:${Auth.getUserId()}`)
+            .on('postgres_changes', { event: 'INSERT', schema: 'public', table: TABLE, filter }, forward('insert'))
+            .on('postgres_changes', { event: 'UPDATE', schema: 'public', table: TABLE, filter }, forward('update'))
+            .on('postgres_changes', { event: 'DELETE', schema: 'public', table: TABLE }, forward('delete'))
+            .subscribe();
+
+        return () => client.removeChannel(channel);
+    };
+
+    // Public API
+    return {
+        name: 'supabase',
+        init,
+        isReady,
+        create,
+        getAll,
+        getPage,
+        get,
+        getByDateRange,
+        getByType,
+        getByTag,
+        getTags,
+        search,
+        getTrash,
+        update,
+        remove,
+        clear,
+        addRevision,
+        getRevisions,
+        addAttachment,
+        getAttachments,
+        getAttachmentBlob,
+        removeAttachment,
+        subscribe
+    };
+})();
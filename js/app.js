@@ -24,15 +24,33 @@
                 console.log('Running in local mode (not authenticated)');
             }
 
-            // Initialize database
-            await DiaryStorage.init();
+            // Initialize database, upgrading local data first if needed
+            try {
+                await DiaryStorage.init({ onProgress: onStorageProgress });
+            } catch (error) {
+                console.error('Database initialization error:', error);
+                showStorageError(error);
+                return;
+            }
             console.log('✓ Database initialized');
 
             // Initialize modules
             QuickLog.init();
             EntriesManager.init(onEntriesChange);
+            EntrySearch.init();
+            FilterBar.init(onFiltersChange);
+            TagManager.init(loadData);
+            Markdown.initEditor();
+            EntryAttachments.init();
+            EntryTemplates.init();
+            EntriesManager.setFilters(FilterBar.getFilters());
             CalendarView.init(onDateSelect);
             Settings.init();
+            ConflictResolver.init(loadData);
+            LocalImport.init(loadData);
+            TrashView.init(loadData);
+            HabitTracker.init(loadData);
+            QuickLogManager.init(loadData);
             console.log('✓ Modules initialized');
 
             // Initialize voice if supported
@@ -54,6 +72,18 @@
             // Load initial data
             await loadData();
 
+            // Upload anything saved while offline
+            DiaryStorage.onSync(onSync);
+            DiaryStorage.onSyncFailure(onSyncFailure);
+            DiaryStorage.flushOutbox();
+
+            // Offer entries written in local mode to the account
+            LocalImport.render();
+
+            // Drop entries that outstayed the trash retention period
+            DiaryStorage.purgeExpiredTrash(Settings.getSetting('trashRetentionDays'))
+                .catch(error => console.warn('Failed to purge old trash:', error));
+
             Components.showToast('Chronicle ready!', 'success');
         } catch (error) {
             console.error('Initialization error:', error);
@@ -61,6 +91,42 @@
         }
     };
 
+    /**
+     * Report local database migration progress
+     * @param {Object} progress - { step, total, description }, or { blocked: true }
+     */
+    const onStorageProgress = (progress) => {
+        if (progress.blocked) {
+            Components.showToast('Close other Chronicle tabs to finish updating', 'info', 10000);
+            return;
+        }
+
+        console.log(`Migrating local data (${progress.step}/${progress.total}): ${progress.description}`);
+        Components.showToast(`Updating local data (${progress.step}/${progress.total})...`, 'info');
+    };
+
+    /**
+     * Replace the app with an error message when the database can't be opened
+     * Migrations are rolled back on failure, so existing data is left as it was
+     * @param {Error} error
+     */
+    const showStorageError = (error) => {
+        const main = document.querySelector('main.container');
+        if (!main) return;
+
+        main.innerHTML = `
+            <section class="storage-error">
+                <div class="card glass-card">
+                    <h2 class="section-title">Couldn't Open Local Data</h2>
+                    <p>Your entries haven't been changed. Close any other Chronicle tabs and reload to try again.</p>
+                    <p class="storage-error-detail">${Components.escapeHtml(error.message || String(error))}</p>
+                    <button class="settings-btn" id="storageErrorReload">Reload</button>
+                </div>
+            </section>
+        `;
+        document.getElementById('storageErrorReload').addEventListener('click', () => location.reload());
+    };
+
     /**
      * Setup all event listeners
      */
@@ -85,7 +151,7 @@
 
     /**
      * Switch between views
-     * @param {string} view - View name ('entries', 'calendar', 'settings')
+     * @param {string} view - View name ('entries', 'calendar', 'habits', 'trash', 'settings')
      */
     const switchView = (view) => {
         currentView = view;
@@ -98,11 +164,21 @@
         // Show/hide sections
         document.getElementById('entrySection')?.classList.toggle('hidden', view !== 'entries');
         document.getElementById('calendarSection')?.classList.toggle('hidden', view !== 'calendar');
+        document.getElementById('habitsSection')?.classList.toggle('hidden', view !== 'habits');
+        document.getElementById('trashSection')?.classList.toggle('hidden', view !== 'trash');
         document.getElementById('settingsSection')?.classList.toggle('hidden', view !== 'settings');
 
-        // Render calendar if switching to it
+        // Load and render calendar if switching to it
         if (view === 'calendar') {
-            CalendarView.render();
+            CalendarView.refresh();
+        } else if (view === 'habits') {
+            HabitTracker.render();
+        } else if (view === 'trash') {
+            TrashView.render();
+        } else if (view === 'settings') {
+            TagManager.render();
+            QuickLogManager.render();
+            EntryTemplates.renderManager();
         }
     };
 
@@ -122,10 +198,7 @@
             return;
         }
 
-        const tags = tagsEl?.value
-            .split(',')
-            .map(tag => tag.trim())
-            .filter(tag => tag.length > 0);
+        const tags = EntryModel.parseTags(tagsEl?.value);
 
         try {
             const entryData = {
@@ -134,15 +207,24 @@
                 tags
             };
 
+            const date = EntriesManager.getEntryDate();
+            if (date) {
+                entryData.date = date.toISOString();
+            }
+
             const id = await DiaryStorage.createEntry(entryData);
+            await EntryAttachments.saveAll(id, EntryAttachments.getPending());
             const entry = await DiaryStorage.getEntry(id);
 
             EntriesManager.addEntry(entry);
             onEntriesChange();
 
             // Reset form
+            Markdown.closePreview();
             contentEl.value = '';
             tagsEl.value = '';
+            EntriesManager.setEntryDate(null);
+            EntryAttachments.clearPending();
             transcribedText = '';
 
             Components.showToast('Entry saved!', 'success');
@@ -221,58 +303,79 @@
         const dateEntriesEl = document.getElementById('dateEntries');
         if (!dateEntriesEl) return;
 
+        const addButton = '<button class="add-custom-btn add-for-day-btn" id="addForDayBtn">+ Add entry for this day</button>';
+
         if (entries.length === 0) {
             dateEntriesEl.innerHTML = `
                 <div class="card glass-card">
                     <h3>No entries for ${Components.formatDate(date)}</h3>
+                    ${addButton}
                 </div>
             `;
         } else {
-            const entriesHtml = entries.map(entry => {
-                const typeIcons = {
-                    event: '🎯',
-                    thought: '💭',
-                    habit: '✅',
-                    food: '🍽️',
-                    health: '❤️'
-                };
-
-                return `
-                    <div class="entry-card">
-                        <div class="entry-header">
-                            <div class="entry-type">
-                                <span class="entry-icon">${typeIcons[entry.type]}</span>
-                                <span class="entry-type-label">${entry.type}</span>
-                            </div>
-                        </div>
-                        <div class="entry-content">${entry.content}</div>
-                        ${entry.tags && entry.tags.length > 0 ? `
-                            <div class="entry-tags">
-                                ${entry.tags.map(tag => `<span class="tag">${tag}</span>`).join('')}
-                            </div>
-                        ` : ''}
-                    </div>
-                `;
-            }).join('');
-
             dateEntriesEl.innerHTML = `
                 <div class="card glass-card">
                     <h3>${Components.formatDate(date)}</h3>
-                    ${entriesHtml}
+                    ${addButton}
+                    ${entries.map(entry => EntriesManager.createEntryCard(entry)).join('')}
                 </div>
             `;
+            EntriesManager.bindCardActions(dateEntriesEl, entries);
         }
+
+        document.getElementById('addForDayBtn')?.addEventListener('click', () => addEntryForDay(date));
+    };
+
+    /**
+     * Open the entry form set to a day picked in the calendar, at the current time of day
+     * @param {Date} date
+     */
+    const addEntryForDay = (date) => {
+        const now = new Date();
+        const when = new Date(date.getFullYear(), date.getMonth(), date.getDate(), now.getHours(), now.getMinutes());
+
+        EntriesManager.setEntryDate(when);
+        switchView('entries');
+        document.getElementById('entrySection')?.scrollIntoView({ behavior: 'smooth' });
+        document.getElementById('entryContent')?.focus();
     };
 
     /**
      * Handle entries change
      */
     const onEntriesChange = () => {
-        const entries = EntriesManager.getEntries();
-        CalendarView.loadEntries(entries);
         if (currentView === 'calendar') {
-            CalendarView.render();
+            CalendarView.refresh();
+        } else if (currentView === 'habits') {
+            HabitTracker.render();
         }
+        EntrySearch.refresh();
+    };
+
+    /**
+     * Handle filter bar changes
+     * @param {EntryFilters|null} filters
+     */
+    const onFiltersChange = (filters) => {
+        EntriesManager.setFilters(filters);
+        EntriesManager.loadEntries();
+    };
+
+    /**
+     * Handle offline changes reaching Supabase
+     * @param {number} count - Number of synced changes
+     */
+    const onSync = async (count) => {
+        await loadData();
+        Components.showToast(`Synced ${count} offline change${count === 1 ? '' : 's'}`, 'success');
+    };
+
+    /**
+     * Handle offline changes the server rejected
+     * @param {Array} changes - Failed changes, listed in the conflicts panel
+     */
+    const onSyncFailure = (changes) => {
+        Components.showToast(`${changes.length} change${changes.length === 1 ? '' : 's'} could not sync, see Changes Not Synced`, 'error');
     };
 
     /**
@@ -281,6 +384,7 @@
     const loadData = async () => {
         await EntriesManager.loadEntries();
         onEntriesChange();
+        await ConflictResolver.render();
     };
 
     // Start the app
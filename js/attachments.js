@@ -0,0 +1,315 @@
+/**
+ * Attachments Module
+ * Photos and audio clips on entries: picking files in the entry form,
+ * thumbnails and players on entry cards, and export/import as data URLs
+ */
+
+const EntryAttachments = (() => {
+    let pending = [];
+
+    // Object URLs of files stored on this device, by attachment ID
+    const objectUrls = new Map();
+
+    /**
+     * Wire up the file picker of the entry form
+     */
+    const init = () => {
+        const input = document.getElementById('attachmentInput');
+        input?.addEventListener('change', () => {
+            pending = pending.concat([...input.files]);
+            input.value = '';
+            renderPending();
+        });
+    };
+
+    /**
+     * Show files picked in the entry form, each with a remove button
+     */
+    const renderPending = () => {
+        const list = document.getElementById('attachmentPending');
+        if (!list) return;
+
+        list.innerHTML = pending.map((file, index) => `
+            <li class="attachment-chip">
+                <span>${file.type.startsWith('audio/') ? '🎵' : '🖼️'} ${Components.escapeHtml(file.name)}</span>
+                <button type="button" class="attachment-chip-remove" data-index="${index}" aria-label="Remove attachment">×</button>
+            </li>
+        `).join('');
+
+        list.querySelectorAll('.attachment-chip-remove').forEach(btn => {
+            btn.addEventListener('click', () => {
+                pending.splice(Number(btn.dataset.index), 1);
+                renderPending();
+            });
+        });
+    };
+
+    /**
+     * Get the files picked in the entry form
+     * @returns {Array<File>}
+     */
+    const getPending = () => pending;
+
+    /**
+     * Forget the files picked in the entry form
+     */
+    const clearPending = () => {
+        pending = [];
+        renderPending();
+    };
+
+    /**
+     * Attach files to an entry, reporting any that couldn't be saved
+     * @param {string} entryId
+     * @param {Array<File>} files
+     * @returns {Promise<number>} Number of files attached
+     */
+    const saveAll = async (entryId, files) => {
+        let saved = 0;
+
+        for (const file of files) {
+            try {
+                await DiaryStorage.addAttachment(entryId, file);
+                saved++;
+            } catch (error) {
+                console.error('Error saving attachment:', error);
+                Components.showToast(`Couldn't attach ${file.name}: ${error.message}`, 'error');
+            }
+        }
+        return saved;
+    };
+
+    /**
+     * Get a URL an img or audio element can load an attachment from
+     * @param {Object} attachment
+     * @returns {string|null}
+     */
+    const urlFor = (attachment) => {
+        if (attachment.url) return attachment.url;
+        if (!attachment.blob) return null;
+
+        if (!objectUrls.has(attachment.id)) {
+            objectUrls.set(attachment.id, URL.createObjectURL(attachment.blob));
+        }
+        return objectUrls.get(attachment.id);
+    };
+
+    /**
+     * Build the element showing one attachment
+     * Built with DOM calls, file names go into attributes
+     * @param {Object} attachment
+     * @param {Function|null} onRemove - Adds a remove button when given
+     * @returns {HTMLElement}
+     */
+    const createItem = (attachment, onRemove) => {
+        const item = document.createElement('div');
+        item.className = `attachment attachment-${attachment.kind}`;
+        const url = urlFor(attachment);
+
+        if (attachment.kind === 'image') {
+            const link = document.createElement('a');
+            link.href = url || '#';
+            link.target = '_blank';
+            link.rel = 'noopener noreferrer';
+
+            const img = document.createElement('img');
+            img.className = 'attachment-thumb';
+            img.src = url || '';
+            img.alt = attachment.name;
+            img.loading = 'lazy';
+
+            link.appendChild(img);
+            item.appendChild(link);
+        } else {
+            const audio = document.createElement('audio');
+            audio.controls = true;
+            audio.preload = 'metadata';
+            audio.src = url || '';
+
+            const name = document.createElement('span');
+            name.className = 'attachment-name';
+            name.textContent = attachment.name;
+
+            item.append(name, audio);
+        }
+
+        if (onRemove) {
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.className = 'attachment-remove';
+            remove.setAttribute('aria-label', `Remove ${attachment.name}`);
+            remove.textContent = '×';
+            remove.addEventListener('click', () => onRemove(attachment));
+            item.appendChild(remove);
+        }
+
+        return item;
+    };
+
+    /**
+     * Fill every attachment placeholder under root, with one storage request for all of them
+     * @param {ParentNode} root - Contains .entry-attachments[data-entry-id] placeholders
+     */
+    const load = async (root) => {
+        const containers = [...root.querySelectorAll('.entry-attachments[data-entry-id]')];
+        if (containers.length === 0) return;
+
+        try {
+            const attachments = await DiaryStorage.getAttachments(containers.map(el => el.dataset.entryId));
+
+            containers.forEach(container => {
+                const own = attachments.filter(a => a.entryId === container.dataset.entryId);
+                const onRemove = container.classList.contains('editable')
+                    ? (attachment) => remove(attachment, container)
+                    : null;
+
+                container.replaceChildren(...own.map(attachment => createItem(attachment, onRemove)));
+                container.classList.toggle('hidden', own.length === 0 && !onRemove);
+            });
+        } catch (error) {
+            console.error('Error loading attachments:', error);
+        }
+    };
+
+    /**
+     * Delete an attachment from the card being edited
+     * @param {Object} attachment
+     * @param {HTMLElement} container
+     */
+    const remove = async (attachment, container) => {
+        if (!confirm(`Delete ${attachment.name}? This can't be undone.`)) return;
+
+        try {
+            await DiaryStorage.deleteAttachment(attachment);
+            if (objectUrls.has(attachment.id)) {
+                URL.revokeObjectURL(objectUrls.get(attachment.id));
+                objectUrls.delete(attachment.id);
+            }
+            await load(container.parentNode);
+        } catch (error) {
+            console.error('Error deleting attachment:', error);
+            Components.showToast('Failed to delete attachment', 'error');
+        }
+    };
+
+    /**
+     * Wire up the file picker of a card's edit form; files are attached right away
+     * @param {HTMLElement} form - Contains an .edit-attachments input and an editable placeholder
+     * @param {string} entryId
+     */
+    const bindEditor = (form, entryId) => {
+        const input = form.querySelector('.edit-attachments');
+        input?.addEventListener('change', async () => {
+            const files = [...input.files];
+            input.value = '';
+
+            if (await saveAll(entryId, files) > 0) {
+                await load(form);
+            }
+        });
+        load(form);
+    };
+
+    /**
+     * Read a file as a data URL
+     * @param {Blob} blob
+     * @returns {Promise<string>}
+     */
+    const toDataUrl = (blob) => {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(new Error('Failed to read attachment'));
+            reader.readAsDataURL(blob);
+        });
+    };
+
+    /**
+     * Collect the attachments of entries for an export file
+     * @param {Array} entries
+     * @returns {Promise<Array>} { id, entryId, name, mimeType, createdAt, data }, data a base64 data URL
+     */
+    const exportFor = async (entries) => {
+        // A backup missing the remote files would look complete, so a remote failure fails the export
+        const attachments = await DiaryStorage.getAttachments(entries.map(entry => entry.id), { strict: true });
+        const exported = [];
+
+        for (const attachment of attachments) {
+            const blob = await DiaryStorage.getAttachmentBlob(attachment);
+            exported.push({
+                id: attachment.id,
+                entryId: attachment.entryId,
+                name: attachment.name,
+                mimeType: attachment.mimeType,
+                createdAt: attachment.createdAt,
+                data: await toDataUrl(blob)
+            });
+        }
+        return exported;
+    };
+
+    /**
+     * Check an attachment from an export file before anything is imported
+     * @param {Object} attachment
+     * @throws {Error} If it has no file, the file can't be decoded, or it couldn't be attached
+     */
+    const validateExported = (attachment) => {
+        if (!attachment || typeof attachment !== 'object') {
+            throw new Error('expected an object');
+        }
+
+        const match = typeof attachment.data === 'string' && attachment.data.match(/^data:([^;,]*)(?:;[^,]*)?;base64,(.*)$/s);
+        if (!match) {
+            throw new Error('data must be a base64 data URL');
+        }
+
+        let size;
+        try {
+            size = atob(match[2]).length;
+        } catch (error) {
+            throw new Error('data is not valid base64');
+        }
+        DiaryStorage.validateAttachment(attachment.mimeType || match[1], size);
+    };
+
+    /**
+     * Recreate exported attachments on imported entries
+     * @param {Array} attachments - From an export file
+     * @param {Map<string, string>} entryIds - Exported entry ID to the ID it was imported as
+     * @returns {Promise<number>} Number of attachments imported
+     */
+    const importAll = async (attachments, entryIds) => {
+        let imported = 0;
+
+        for (const attachment of attachments) {
+            const entryId = entryIds.get(attachment.entryId);
+            if (!entryId || typeof attachment.data !== 'string' || !attachment.data.startsWith('data:')) continue;
+
+            try {
+                const data = await (await fetch(attachment.data)).blob();
+                const blob = new Blob([data], { type: attachment.mimeType || data.type });
+                await DiaryStorage.addAttachment(entryId, blob, {
+                    name: attachment.name,
+                    createdAt: attachment.createdAt
+                });
+                imported++;
+            } catch (error) {
+                console.error('Error importing attachment:', error);
+            }
+        }
+        return imported;
+    };
+
+    // Public API
+    return {
+        init,
+        getPending,
+        clearPending,
+        saveAll,
+        load,
+        bindEditor,
+        exportFor,
+        validateExported,
+        importAll
+    };
+})();
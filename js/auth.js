@@ -5,6 +5,7 @@
 
 const Auth = (() => {
     let currentUser = null;
+    const authListeners = [];
 
     /**
      * Initialize authentication
@@ -26,6 +27,11 @@ const Auth = (() => {
 
         // Listen for auth state changes
         client.auth.onAuthStateChange((event, session) => {
+            if (session) {
+                currentUser = session.user;
+            }
+            authListeners.forEach(listener => listener(event, currentUser));
+
             if (event === 'SIGNED_IN') {
                 currentUser = session.user;
                 console.log('User signed in:', currentUser.email);
@@ -125,6 +131,14 @@ const Auth = (() => {
         return currentUser ? currentUser.id : null;
     };
 
+    /**
+     * Register a callback for auth state changes
+     * @param {Function} listener - Called with (event, user)
+     */
+    const onAuthChange = (listener) => {
+        authListeners.push(listener);
+    };
+
     // Public API
     return {
         init,
@@ -134,6 +148,7 @@ const Auth = (() => {
         signOut,
         getCurrentUser,
         isAuthenticated,
-        getUserId
+        getUserId,
+        onAuthChange
     };
 })();
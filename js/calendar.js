@@ -19,25 +19,31 @@ const CalendarView = (() => {
         // Setup navigation buttons
         document.getElementById('prevMonth')?.addEventListener('click', () => {
             currentDate.setMonth(currentDate.getMonth() - 1);
-            render();
+            refresh();
         });
 
         document.getElementById('nextMonth')?.addEventListener('click', () => {
             currentDate.setMonth(currentDate.getMonth() + 1);
-            render();
+            refresh();
         });
     };
 
+    /**
+     * Key of a day in entriesMap and cell data-date attributes
+     * @param {Date} date
+     * @returns {string}
+     */
+    const dateKeyFor = (date) => `${date.getFullYear()}-${date.getMonth()}-${date.getDate()}`;
+
     /**
      * Load entries for calendar
-     * @param {Array} entries - All entries
+     * @param {Array} entries - Entries of the shown month
      */
     const loadEntries = (entries) => {
         entriesMap.clear();
 
         entries.forEach(entry => {
-            const date = new Date(entry.date);
-            const dateKey = `${date.getFullYear()}-${date.getMonth()}-${date.getDate()}`;
+            const dateKey = dateKeyFor(new Date(entry.date));
 
             if (!entriesMap.has(dateKey)) {
                 entriesMap.set(dateKey, []);
@@ -46,6 +52,33 @@ const CalendarView = (() => {
         });
     };
 
+    /**
+     * Load the shown month's entries from storage and render
+     */
+    const refresh = async () => {
+        const year = currentDate.getFullYear();
+        const month = currentDate.getMonth();
+
+        try {
+            const entries = await DiaryStorage.getEntriesByDateRange(
+                new Date(year, month, 1),
+                new Date(year, month + 1, 0, 23, 59, 59, 999)
+            );
+            loadEntries(entries);
+        } catch (error) {
+            console.error('Error loading calendar entries:', error);
+            Components.showToast('Failed to load calendar', 'error');
+        }
+
+        render();
+
+        // Keep the open day's entries in step with the new counts
+        if (selectedDate && onDateSelectCallback &&
+            selectedDate.getFullYear() === year && selectedDate.getMonth() === month) {
+            onDateSelectCallback(selectedDate, entriesMap.get(dateKeyFor(selectedDate)) || []);
+        }
+    };
+
     /**
      * Render calendar
      */
@@ -143,6 +176,7 @@ const CalendarView = (() => {
     return {
         init,
         loadEntries,
+        refresh,
         render
     };
 })();
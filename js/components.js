@@ -4,25 +4,42 @@
  */
 
 const Components = (() => {
+    let toastTimer = null;
+
     /**
      * Show toast notification
      * @param {string} message - Message to display
      * @param {string} type - Type: 'success', 'error', 'info'
      * @param {number} duration - Duration in ms (default: 3000)
+     * @param {Object|null} [action] - { label, onClick } for a button in the toast, e.g. Undo
      */
-    const showToast = (message, type = 'info', duration = 3000) => {
+    const showToast = (message, type = 'info', duration = 3000, action = null) => {
         const toast = document.getElementById('toast');
         if (!toast) return;
 
         toast.textContent = message;
         toast.className = `toast ${type}`;
 
+        if (action) {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'toast-action';
+            button.textContent = action.label;
+            button.addEventListener('click', () => {
+                toast.classList.add('hidden');
+                action.onClick();
+            }, { once: true });
+            toast.appendChild(button);
+        }
+
         // Trigger reflow for animation
         void toast.offsetWidth;
 
         toast.classList.remove('hidden');
 
-        setTimeout(() => {
+        // A newer toast gets its full duration
+        clearTimeout(toastTimer);
+        toastTimer = setTimeout(() => {
             toast.classList.add('hidden');
         }, duration);
     };
@@ -53,6 +70,35 @@ const Components = (() => {
         });
     };
 
+    /**
+     * Format a date as a datetime-local input value, in local time
+     * @param {Date} date
+     * @returns {string} YYYY-MM-DDTHH:MM
+     */
+    const toDateTimeInput = (date) => {
+        const pad = (n) => String(n).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+            `T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+    };
+
+    /**
+     * Key of the local day a date falls on, for grouping entries by day
+     * @param {Date} date
+     * @returns {string} YYYY-MM-DD
+     */
+    const toDayKey = (date) => toDateTimeInput(date).slice(0, 10);
+
+    /**
+     * Escape HTML to prevent XSS
+     * @param {string} text
+     * @returns {string}
+     */
+    const escapeHtml = (text) => {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    };
+
     /**
      * Export data as JSON file
      * @param {Object} data - Data to export
@@ -71,6 +117,28 @@ const Components = (() => {
         URL.revokeObjectURL(url);
     };
 
+    /**
+     * Export rows as a CSV file
+     * @param {Array<Array>} rows - First row is the header
+     * @param {string} filename - Filename
+     */
+    const exportCSV = (rows, filename) => {
+        const cell = (value) => {
+            const text = value === null || value === undefined ? '' : String(value);
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        const csv = rows.map(row => row.map(cell).join(',')).join('\r\n');
+        const blob = new Blob([csv], { type: 'text/csv' });
+        const url = URL.createObjectURL(blob);
+
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        a.click();
+
+        URL.revokeObjectURL(url);
+    };
+
     /**
      * Import JSON file
      * @param {File} file - File to import
@@ -99,7 +167,11 @@ const Components = (() => {
         showToast,
         formatDate,
         formatTime,
+        toDateTimeInput,
+        toDayKey,
+        escapeHtml,
         exportJSON,
+        exportCSV,
         importJSON
     };
 })();
@@ -0,0 +1,197 @@
+/**
+ * Conflicts Module
+ * Lists entries changed on two devices and lets the user pick a version,
+ * and changes the server rejected so the user can retry or discard them
+ */
+
+const ConflictResolver = (() => {
+    let onResolvedCallback = null;
+
+    /**
+     * Initialize conflict panel
+     * @param {Function} onResolved - Callback after a conflict is resolved
+     */
+    const init = (onResolved) => {
+        onResolvedCallback = onResolved;
+        DiaryStorage.onConflict(() => render());
+        DiaryStorage.onSyncFailure(() => render());
+    };
+
+    /**
+     * Render unresolved conflicts and failed changes
+     */
+    const render = async () => {
+        const panel = document.getElementById('conflictsPanel');
+        if (!panel) return;
+
+        const [conflicts, failed] = await Promise.all([
+            DiaryStorage.getConflicts(),
+            DiaryStorage.getFailedChanges()
+        ]);
+
+        if (conflicts.length === 0 && failed.length === 0) {
+            panel.innerHTML = '';
+            panel.classList.add('hidden');
+            return;
+        }
+
+        // One card per entry, its changes were set aside together
+        const failedEntries = [...new Map(failed.map(change => [change.entryId, change])).values()];
+
+        panel.innerHTML = `
+            ${conflicts.length === 0 ? '' : `
+                <h2 class="section-title">Sync Conflicts</h2>
+                <p class="info-text">
+                    ${conflicts.length} ${conflicts.length === 1 ? 'entry was' : 'entries were'} changed on another device.
+                    Choose which version to keep.
+                </p>
+                ${conflicts.map(createConflictCard).join('')}
+            `}
+            ${failedEntries.length === 0 ? '' : `
+                <h2 class="section-title">Changes Not Synced</h2>
+                <p class="info-text">
+                    The server rejected changes to ${failedEntries.length} ${failedEntries.length === 1 ? 'entry' : 'entries'}.
+                    Retry once the problem is fixed, or discard the change.
+                </p>
+                ${failedEntries.map(createFailedCard).join('')}
+            `}
+        `;
+        panel.classList.remove('hidden');
+
+        panel.querySelectorAll('.conflict-btn[data-choice]').forEach(btn => {
+            btn.addEventListener('click', () => resolve(Number(btn.dataset.id), btn.dataset.choice));
+        });
+        panel.querySelectorAll('.failed-change-btn').forEach(btn => {
+            btn.addEventListener('click', () => handleFailed(btn.dataset.entryId, btn.dataset.action));
+        });
+    };
+
+    /**
+     * Create HTML for one side of a conflict
+     * @param {string} label
+     * @param {Object|null} version - Entry version, null if deleted
+     * @param {number} changedAt
+     * @returns {string}
+     */
+    const createVersion = (label, version, changedAt) => {
+        const body = version
+            ? `
+                ${version.deletedAt ? '<div class="conflict-deleted">Moved to trash</div>' : ''}
+                <div class="entry-content">${Components.escapeHtml(version.content)}</div>
+                ${version.tags && version.tags.length > 0 ? `
+                    <div class="entry-tags">
+                        ${version.tags.map(tag => `<span class="tag">${Components.escapeHtml(tag)}</span>`).join('')}
+                    </div>
+                ` : ''}
+            `
+            : '<div class="entry-content conflict-deleted">Deleted</div>';
+
+        return `
+            <div class="conflict-version">
+                <h4>${label}</h4>
+                ${body}
+                ${changedAt ? `<div class="entry-date">${Components.formatDate(new Date(changedAt))}, ${Components.formatTime(new Date(changedAt))}</div>` : ''}
+            </div>
+        `;
+    };
+
+    /**
+     * Create conflict card HTML
+     * @param {Object} conflict
+     * @returns {string}
+     */
+    const createConflictCard = (conflict) => {
+        const { remote } = conflict;
+
+        return `
+            <div class="entry-card conflict-card">
+                <div class="conflict-versions">
+                    ${createVersion('This device', conflict.local, conflict.localUpdatedAt)}
+                    ${createVersion('Other device', remote, remote ? remote.updatedAt : null)}
+                </div>
+                <div class="conflict-actions">
+                    <button class="conflict-btn" data-id="${conflict.id}" data-choice="local">Keep this device</button>
+                    <button class="conflict-btn" data-id="${conflict.id}" data-choice="remote">Keep other device</button>
+                    <button class="conflict-btn" data-id="${conflict.id}" data-choice="both">Keep both</button>
+                </div>
+            </div>
+        `;
+    };
+
+    /**
+     * Create failed change card HTML
+     * @param {Object} change - First failed change of the entry
+     * @returns {string}
+     */
+    const createFailedCard = (change) => {
+        const snapshot = change.snapshot || {};
+        const labels = { create: 'New entry', update: 'Edit', delete: 'Deletion' };
+
+        return `
+            <div class="entry-card conflict-card">
+                <div class="conflict-version">
+                    <h4>${labels[change.op] || 'Change'}</h4>
+                    ${snapshot.content ? `<div class="entry-content">${Components.escapeHtml(snapshot.content)}</div>` : ''}
+                    <div class="conflict-deleted">${Components.escapeHtml(change.error)}</div>
+                    <div class="entry-date">${Components.formatDate(new Date(change.queuedAt))}, ${Components.formatTime(new Date(change.queuedAt))}</div>
+                </div>
+                <div class="conflict-actions">
+                    <button class="failed-change-btn conflict-btn" data-entry-id="${change.entryId}" data-action="retry">Retry</button>
+                    <button class="failed-change-btn conflict-btn" data-entry-id="${change.entryId}" data-action="discard">Discard</button>
+                </div>
+            </div>
+        `;
+    };
+
+    /**
+     * Retry or discard the failed changes of an entry
+     * @param {string} entryId
+     * @param {string} action - 'retry' or 'discard'
+     */
+    const handleFailed = async (entryId, action) => {
+        try {
+            if (action === 'discard') {
+                if (!confirm('Discard this change? It will not reach your other devices.')) return;
+                await DiaryStorage.discardFailedChange(entryId);
+                Components.showToast('Change discarded', 'success');
+            } else {
+                await DiaryStorage.retryFailedChange(entryId);
+            }
+
+            await render();
+            if (onResolvedCallback) {
+                onResolvedCallback();
+            }
+        } catch (error) {
+            console.error('Error handling failed change:', error);
+            Components.showToast('Failed to update the change', 'error');
+        }
+    };
+
+    /**
+     * Resolve a conflict with the chosen version
+     * @param {number} id - Conflict ID
+     * @param {string} choice - 'local', 'remote' or 'both'
+     */
+    const resolve = async (id, choice) => {
+        try {
+            await DiaryStorage.resolveConflict(id, choice);
+            await render();
+
+            if (onResolvedCallback) {
+                onResolvedCallback();
+            }
+
+            Components.showToast('Conflict resolved', 'success');
+        } catch (error) {
+            console.error('Error resolving conflict:', error);
+            Components.showToast('Failed to resolve conflict', 'error');
+        }
+    };
+
+    // Public API
+    return {
+        init,
+        render
+    };
+})();
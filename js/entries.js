@@ -6,11 +6,23 @@
 const EntriesManager = (() => {
     let currentType = 'event';
     let entries = [];
+    let nextCursor = null;
+    let filters = null;
+    let loadingMore = false;
+    let scrollObserver = null;
     let onEntryChangeCallback = null;
+    // Bumped on every quick-log button render, so a slower earlier render doesn't win
+    let buttonsRender = 0;
+    // Quick-logs that rank the buttons, { id, type, content, timestamp } each; loaded on first use,
+    // then kept up to date as entries change so renders don't fetch them again
+    let recentLogs = null;
 
     // Types that use quick-log mode
     const QUICK_LOG_TYPES = ['habit', 'food', 'health'];
 
+    // Long enough to reach the Undo button after a quick-log
+    const UNDO_TOAST_MS = 6000;
+
     /**
      * Initialize entries manager
      * @param {Function} onEntryChange - Callback when entries change
@@ -29,10 +41,14 @@ const EntriesManager = (() => {
                 // Switch between text entry and quick-log mode
                 updateEntryMode();
 
-                // If quick-log type, populate dropdown
+                // If quick-log type, populate buttons and dropdown
                 if (QUICK_LOG_TYPES.includes(currentType)) {
+                    renderQuickLogButtons();
                     populateQuickLogDropdown();
                 }
+                hideAmountPrompt();
+                EntryFields.render(document.getElementById('quickLogFields'), currentType);
+                EntryTemplates.showFor(currentType);
             });
         });
 
@@ -40,6 +56,20 @@ const EntriesManager = (() => {
         const quickLogSelect = document.getElementById('quickLogSelect');
         quickLogSelect?.addEventListener('change', handleQuickLogSelection);
 
+        // Amount prompt for options logged with a unit
+        document.getElementById('quickLogAmountBtn')?.addEventListener('click', handleLogAmount);
+        document.getElementById('quickLogAmountCancel')?.addEventListener('click', () => {
+            hideAmountPrompt();
+            document.getElementById('quickLogSelect').value = '';
+        });
+        document.getElementById('quickLogAmountInput')?.addEventListener('keydown', (e) => {
+            // Enter would submit the entry form
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                handleLogAmount();
+            }
+        });
+
         // Add custom option handlers
         const addCustomBtn = document.getElementById('addCustomBtn');
         const saveCustomBtn = document.getElementById('saveCustomBtn');
@@ -53,8 +83,33 @@ const EntriesManager = (() => {
         saveCustomBtn?.addEventListener('click', handleSaveCustomOption);
         cancelCustomBtn?.addEventListener('click', () => {
             document.getElementById('addCustomForm')?.classList.add('hidden');
-            document.getElementById('customOptionInput').value = '';
+            clearCustomForm();
+        });
+
+        // Options added on another device arrive after the first sync
+        QuickLog.onChange(() => {
+            if (QUICK_LOG_TYPES.includes(currentType)) {
+                renderQuickLogButtons();
+                populateQuickLogDropdown();
+            }
         });
+
+        // Clear a backdated time
+        document.getElementById('entryDateNowBtn')?.addEventListener('click', () => setEntryDate(null));
+
+        // Keep the list in step with other devices
+        DiaryStorage.onRemoteChange(applyRemoteChange);
+
+        // Load the next page when the end of the list scrolls into view
+        const sentinel = document.getElementById('entriesSentinel');
+        if (sentinel && 'IntersectionObserver' in window) {
+            scrollObserver = new IntersectionObserver((observed) => {
+                if (observed.some(item => item.isIntersecting)) {
+                    loadMore();
+                }
+            }, { rootMargin: '400px' });
+            scrollObserver.observe(sentinel);
+        }
     };
 
     /**
@@ -91,55 +146,295 @@ const EntriesManager = (() => {
         });
     };
 
+    /**
+     * Render one-tap buttons for the options of the current type, pinned first,
+     * then the ones usually logged around this time of day
+     */
+    const renderQuickLogButtons = async () => {
+        const container = document.getElementById('quickLogButtons');
+        if (!container) return;
+
+        const token = ++buttonsRender;
+        const type = currentType;
+        const now = new Date();
+
+        let recent = [];
+        try {
+            recent = await getRecentLogs();
+        } catch (error) {
+            console.error('Error loading recent quick-logs:', error);
+        }
+        if (token !== buttonsRender) return;
+
+        const options = QuickLog.rankOptions(type, recent, now);
+
+        // Buttons refer to options by position, names can contain any character
+        container.innerHTML = options.map((option, index) => {
+            const { unit, amount } = QuickLog.getOptionQuantity(type, option);
+            const pinned = QuickLog.isPinned(type, option);
+            return `
+                <div class="quick-log-tile${pinned ? ' pinned' : ''}">
+                    <button type="button" class="quick-log-tap" data-index="${index}">
+                        <span class="quick-log-tap-name">${Components.escapeHtml(option)}</span>
+                        ${unit ? `<span class="quick-log-tap-amount">${Components.escapeHtml(amount !== null ? EntryFields.formatQuantity({ amount, unit }) : unit)}</span>` : ''}
+                    </button>
+                    <button type="button" class="quick-log-pin" data-index="${index}"
+                        aria-label="${pinned ? 'Unpin' : 'Pin'}" aria-pressed="${pinned}">${pinned ? '★' : '☆'}</button>
+                </div>
+            `;
+        }).join('');
+
+        container.querySelectorAll('.quick-log-tap').forEach(btn => {
+            btn.addEventListener('click', () => handleQuickLogTap(options[btn.dataset.index]));
+        });
+        container.querySelectorAll('.quick-log-pin').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const option = options[btn.dataset.index];
+                QuickLog.setPinned(type, option, !QuickLog.isPinned(type, option));
+            });
+        });
+    };
+
+    /**
+     * Get the quick-logs of the last QuickLog.RANK_DAYS days, loading them once
+     * @returns {Promise<Array>}
+     */
+    const getRecentLogs = () => {
+        if (!recentLogs) {
+            const now = new Date();
+            recentLogs = DiaryStorage.getEntriesByDateRange(
+                new Date(now.getTime() - QuickLog.RANK_DAYS * 24 * 60 * 60 * 1000), now)
+                .then(found => found
+                    .filter(entry => QUICK_LOG_TYPES.includes(entry.type))
+                    .map(({ id, type, content, timestamp }) => ({ id, type, content, timestamp })))
+                .catch(error => {
+                    recentLogs = null;
+                    throw error;
+                });
+        }
+        return recentLogs;
+    };
+
+    /**
+     * Add, replace or drop an entry among the loaded quick-logs
+     * @param {string} id
+     * @param {Entry|null} entry - null when it was deleted
+     */
+    const updateRecentLogs = (id, entry) => {
+        if (!recentLogs) return;
+
+        const counts = entry && QUICK_LOG_TYPES.includes(entry.type) && !EntryModel.isTrashed(entry);
+        recentLogs = recentLogs.then(logs => [
+            ...logs.filter(log => log.id !== id),
+            ...(counts ? [{ id, type: entry.type, content: entry.content, timestamp: entry.timestamp }] : [])
+        ]);
+    };
+
+    /**
+     * Log an option from its button, with its default amount
+     * Options with a unit but no default amount ask for it first
+     * @param {string} option
+     */
+    const handleQuickLogTap = (option) => {
+        const { unit, amount } = QuickLog.getOptionQuantity(currentType, option);
+
+        if (unit && amount === null) {
+            document.getElementById('quickLogSelect').value = option;
+            showAmountPrompt(unit, amount);
+            return;
+        }
+        logQuickLogOption(option, unit ? { amount, unit } : null);
+    };
+
     /**
      * Handle quick-log dropdown selection
+     * Options with a unit ask for the amount first, others are logged right away
      */
-    const handleQuickLogSelection = async (e) => {
+    const handleQuickLogSelection = (e) => {
         const option = e.target.value;
         if (!option) return;
 
+        const { unit, amount } = QuickLog.getOptionQuantity(currentType, option);
+        if (unit) {
+            showAmountPrompt(unit, amount);
+        } else {
+            logQuickLogOption(option, null);
+        }
+    };
+
+    /**
+     * Ask for the amount of the selected option
+     * @param {string} unit
+     * @param {number|null} amount - Default amount
+     */
+    const showAmountPrompt = (unit, amount) => {
+        const input = document.getElementById('quickLogAmountInput');
+        document.getElementById('quickLogAmountLabel').textContent = `Amount (${unit})`;
+        input.value = amount ?? '';
+        document.getElementById('quickLogAmount')?.classList.remove('hidden');
+        input.focus();
+        input.select();
+    };
+
+    /**
+     * Hide the amount prompt
+     */
+    const hideAmountPrompt = () => {
+        document.getElementById('quickLogAmount')?.classList.add('hidden');
+    };
+
+    /**
+     * Log the selected option with the amount entered
+     */
+    const handleLogAmount = () => {
+        const option = document.getElementById('quickLogSelect')?.value;
+        const raw = document.getElementById('quickLogAmountInput').value.trim();
+        const amount = raw ? Number(raw) : NaN;
+        if (!option) return;
+
+        if (!(Number.isFinite(amount) && amount >= 0)) {
+            Components.showToast('Amount must be a number of 0 or more', 'error');
+            return;
+        }
+
+        const { unit } = QuickLog.getOptionQuantity(currentType, option);
+        logQuickLogOption(option, { amount, unit });
+    };
+
+    /**
+     * Create a quick-log entry from the selected option and the field inputs
+     * @param {string} option
+     * @param {Object|null} quantity - { amount, unit }
+     */
+    const logQuickLogOption = async (option, quantity) => {
+        const select = document.getElementById('quickLogSelect');
+        const fieldsEl = document.getElementById('quickLogFields');
+        let customFields;
+        try {
+            customFields = EntryFields.read(fieldsEl, currentType);
+        } catch (error) {
+            Components.showToast(error.message, 'error');
+            // The amount prompt stays open to try again, otherwise the option has to be picked again
+            if (!quantity) select.value = '';
+            return;
+        }
+
         try {
-            const id = await QuickLog.createQuickLogEntry(currentType, option);
+            const id = await QuickLog.createQuickLogEntry(currentType, option, getEntryDate(), customFields, quantity);
             const entry = await DiaryStorage.getEntry(id);
 
-            entries.unshift(entry);
-            renderEntries();
+            addEntry(entry);
+            updateRecentLogs(id, entry);
 
             if (onEntryChangeCallback) {
                 onEntryChangeCallback();
             }
 
-            Components.showToast(`${currentType} logged: ${option}`, 'success');
+            const total = quantity ? await getDayTotal(entry, quantity.unit) : null;
+            const amountText = quantity ? ` (${EntryFields.formatQuantity(quantity)})` : '';
+            const totalText = total !== null && total !== quantity.amount
+                ? `, ${EntryFields.formatQuantity({ amount: total, unit: quantity.unit })} that day`
+                : '';
+            Components.showToast(`${currentType} logged: ${option}${amountText}${totalText}`, 'success', UNDO_TOAST_MS, {
+                label: 'Undo',
+                onClick: () => undoQuickLog(entry)
+            });
 
-            // Reset dropdown
-            e.target.value = '';
+            // Reset dropdown and fields
+            select.value = '';
+            hideAmountPrompt();
+            EntryFields.render(fieldsEl, currentType);
+            renderQuickLogButtons();
         } catch (error) {
             console.error('Error creating quick-log entry:', error);
             Components.showToast('Failed to log entry', 'error');
         }
     };
 
+    /**
+     * Take back a quick-log, deleting the entry for good since it was a mis-tap
+     * @param {Entry} entry
+     */
+    const undoQuickLog = async (entry) => {
+        try {
+            await DiaryStorage.purgeEntry(entry.id);
+            removeEntry(entry.id);
+            updateRecentLogs(entry.id, null);
+
+            if (onEntryChangeCallback) {
+                onEntryChangeCallback();
+            }
+            if (QUICK_LOG_TYPES.includes(currentType)) {
+                renderQuickLogButtons();
+            }
+            Components.showToast(`Removed: ${entry.content}`, 'info');
+        } catch (error) {
+            console.error('Error undoing quick-log entry:', error);
+            Components.showToast('Failed to undo', 'error');
+        }
+    };
+
+    /**
+     * Add up what was logged of an option on the day of an entry
+     * @param {Entry} entry
+     * @param {string} unit
+     * @returns {Promise<number|null>} Null if the day couldn't be loaded
+     */
+    const getDayTotal = async (entry, unit) => {
+        const date = new Date(entry.date);
+        const start = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+        const end = new Date(date.getFullYear(), date.getMonth(), date.getDate(), 23, 59, 59, 999);
+
+        try {
+            const entries = await DiaryStorage.getEntriesByDateRange(start, end);
+            const found = QuickLog.getDailyTotals(entries)
+                .find(item => item.type === entry.type && item.option === entry.content && item.unit === unit);
+            return found ? found.total : null;
+        } catch (error) {
+            console.error('Error adding up the day:', error);
+            return null;
+        }
+    };
+
     /**
      * Handle saving custom option
      */
     const handleSaveCustomOption = () => {
         const input = document.getElementById('customOptionInput');
         const option = input?.value.trim();
+        const unit = document.getElementById('customUnitInput')?.value.trim() || '';
+        const rawAmount = document.getElementById('customAmountInput')?.value.trim() || '';
+        const amount = rawAmount ? Number(rawAmount) : null;
 
         if (!option) return;
 
-        const success = QuickLog.addCustomOption(currentType, option);
+        if (unit && amount !== null && !(Number.isFinite(amount) && amount >= 0)) {
+            Components.showToast('Default amount must be a number of 0 or more', 'error');
+            return;
+        }
+
+        const success = QuickLog.addCustomOption(currentType, option, unit, amount);
 
         if (success) {
             populateQuickLogDropdown();
             Components.showToast('Custom option added', 'success');
-            input.value = '';
+            clearCustomForm();
             document.getElementById('addCustomForm')?.classList.add('hidden');
         } else {
             Components.showToast('Option already exists', 'error');
         }
     };
 
+    /**
+     * Empty the add custom option form
+     */
+    const clearCustomForm = () => {
+        ['customOptionInput', 'customUnitInput', 'customAmountInput'].forEach(id => {
+            const input = document.getElementById(id);
+            if (input) input.value = '';
+        });
+    };
+
     /**
      * Render entries list
      * @param {Array} entriesToRender - Entries to display
@@ -151,7 +446,7 @@ const EntriesManager = (() => {
         if (entriesToRender.length === 0) {
             container.innerHTML = `
                 <div class="empty-state">
-                    <p>No entries yet. Start recording your thoughts!</p>
+                    <p>${filters ? 'No entries match these filters.' : 'No entries yet. Start recording your thoughts!'}</p>
                 </div>
             `;
             return;
@@ -161,17 +456,229 @@ const EntriesManager = (() => {
         container.innerHTML = html;
 
         // Add event listeners
-        container.querySelectorAll('.delete-btn').forEach(btn => {
+        bindCardActions(container);
+    };
+
+    /**
+     * Add entry cards to the end of the list
+     * @param {Array} newEntries
+     */
+    const appendEntries = (newEntries) => {
+        const container = document.getElementById('entriesContainer');
+        if (!container || newEntries.length === 0) return;
+
+        const template = document.createElement('template');
+        template.innerHTML = newEntries.map(entry => createEntryCard(entry)).join('');
+        bindCardActions(template.content);
+        container.appendChild(template.content);
+    };
+
+    /**
+     * Attach entry card button handlers and load the cards' attachments
+     * @param {ParentNode} root
+     * @param {Array} [source] - Entries shown in root, defaults to the loaded list
+     */
+    const bindCardActions = (root, source = null) => {
+        EntryAttachments.load(root);
+
+        root.querySelectorAll('.delete-btn').forEach(btn => {
             btn.addEventListener('click', () => deleteEntry(btn.dataset.id));
         });
+
+        root.querySelectorAll('.history-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const entry = (source || entries).find(e => e.id === btn.dataset.id);
+                const card = btn.closest('.entry-card');
+                if (entry && card) {
+                    EntryHistory.toggle(card, entry, updated => showUpdatedEntry(card, updated, source));
+                }
+            });
+        });
+
+        root.querySelectorAll('.edit-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const entry = (source || entries).find(e => e.id === btn.dataset.id);
+                const card = btn.closest('.entry-card');
+                if (entry && card) {
+                    startEdit(card, entry, source);
+                }
+            });
+        });
+    };
+
+    /**
+     * Replace a card's content with an edit form
+     * @param {HTMLElement} card
+     * @param {Object} entry
+     * @param {Array|null} source - Entries the card was rendered from
+     */
+    const startEdit = (card, entry, source) => {
+        card.classList.add('editing');
+        card.innerHTML = `
+            <form class="entry-edit-form">
+                <label class="settings-label" for="editType-${entry.id}">Type</label>
+                <select class="settings-select edit-type" id="editType-${entry.id}">
+                    ${EntryModel.TYPES.map(type => `
+                        <option value="${type}"${type === entry.type ? ' selected' : ''}>${type}</option>
+                    `).join('')}
+                </select>
+                <div class="custom-fields edit-fields"></div>
+                <label class="sr-only" for="editContent-${entry.id}">Entry content</label>
+                <textarea class="entry-input edit-content" id="editContent-${entry.id}" rows="4">${Components.escapeHtml(entry.content)}</textarea>
+                <label class="settings-label" for="editDate-${entry.id}">When</label>
+                <input type="datetime-local" class="tag-input edit-date" id="editDate-${entry.id}"
+                    value="${Components.toDateTimeInput(new Date(entry.date))}" required>
+                <label class="settings-label" for="editTags-${entry.id}">Tags</label>
+                <input type="text" class="tag-input edit-tags" id="editTags-${entry.id}"
+                    value="${Components.escapeHtml(entry.tags.join(', '))}" placeholder="Add tags separated by commas">
+                <span class="settings-label">Attachments</span>
+                <div class="entry-attachments editable" data-entry-id="${entry.id}"></div>
+                <label class="add-custom-btn attach-btn" for="editAttachments-${entry.id}">📎 Attach photo or audio</label>
+                <input type="file" class="sr-only edit-attachments" id="editAttachments-${entry.id}" accept="image/*,audio/*" multiple>
+                <div class="custom-form-buttons">
+                    <button type="submit" class="custom-save-btn">Save</button>
+                    <button type="button" class="custom-cancel-btn">Cancel</button>
+                </div>
+            </form>
+        `;
+
+        const form = card.querySelector('.entry-edit-form');
+        const typeSelect = form.querySelector('.edit-type');
+        const fieldsEl = form.querySelector('.edit-fields');
+        const renderFields = () => {
+            // Switching type shows that type's fields, filled from the saved entry
+            EntryFields.render(fieldsEl, typeSelect.value, entry.customFields, `edit-${entry.id}`);
+        };
+        renderFields();
+        typeSelect.addEventListener('change', renderFields);
+
+        TagManager.attachAutocomplete(form.querySelector('.edit-tags'));
+        EntryAttachments.bindEditor(form, entry.id);
+        form.querySelector('.edit-content').focus();
+        form.querySelector('.custom-cancel-btn').addEventListener('click', () => replaceCard(card, entry, source));
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const type = typeSelect.value;
+            let fieldValues;
+            try {
+                const quantity = EntryModel.getQuantity(entry);
+                fieldValues = EntryFields.read(fieldsEl, type, quantity ? quantity.unit : null);
+            } catch (error) {
+                Components.showToast(error.message, 'error');
+                return;
+            }
+
+            const changes = {
+                type,
+                content: form.querySelector('.edit-content').value.trim(),
+                tags: EntryModel.parseTags(form.querySelector('.edit-tags').value),
+                customFields: EntryModel.withFieldValues(entry.customFields, fieldValues)
+            };
+
+            // Minutes are all the input shows, so only move the entry if they changed
+            const date = new Date(form.querySelector('.edit-date').value);
+            if (!isNaN(date.getTime()) && Components.toDateTimeInput(date) !== Components.toDateTimeInput(new Date(entry.date))) {
+                changes.date = date.toISOString();
+            }
+
+            saveEdit(card, entry, source, changes);
+        });
+    };
+
+    /**
+     * Swap a card for a fresh one showing the entry
+     * @param {HTMLElement} card
+     * @param {Object} entry
+     * @param {Array|null} source
+     */
+    const replaceCard = (card, entry, source) => {
+        const template = document.createElement('template');
+        template.innerHTML = createEntryCard(entry).trim();
+        const newCard = template.content.firstElementChild;
+        bindCardActions(newCard, source);
+        card.replaceWith(newCard);
+    };
+
+    /**
+     * Save changes made in a card's edit form
+     * @param {HTMLElement} card
+     * @param {Object} entry - Entry before the edit
+     * @param {Array|null} source
+     * @param {Object} changes - { type, content, tags, customFields, date? }
+     */
+    const saveEdit = async (card, entry, source, changes) => {
+        if (!changes.content) {
+            Components.showToast('Please enter some content', 'error');
+            return;
+        }
+
+        try {
+            const saved = await DiaryStorage.updateEntry(entry.id, changes);
+            const updated = await DiaryStorage.getEntry(entry.id) || { ...entry, ...changes };
+            updateRecentLogs(entry.id, updated);
+
+            showUpdatedEntry(card, updated, source);
+            if (saved) {
+                Components.showToast('Entry updated', 'success');
+            } else if (Settings.getSetting('conflictPolicy') === 'manual') {
+                Components.showToast('This entry was changed on another device, choose a version under Sync Conflicts', 'info', 6000);
+            } else {
+                Components.showToast('This entry was changed on another device, resolved by your conflict setting', 'info', 6000);
+            }
+        } catch (error) {
+            console.error('Error updating entry:', error);
+            Components.showToast('Failed to update entry', 'error');
+        }
+    };
+
+    /**
+     * Show a changed entry in its card and wherever else it's listed
+     * @param {HTMLElement} card
+     * @param {Object} updated
+     * @param {Array|null} source
+     */
+    const showUpdatedEntry = (card, updated, source) => {
+        const previous = entries.find(e => e.id === updated.id);
+        const moved = previous && previous.timestamp !== updated.timestamp;
+
+        [entries, source].forEach(list => {
+            const index = list ? list.findIndex(e => e.id === updated.id) : -1;
+            if (index !== -1) list[index] = updated;
+        });
+
+        replaceCard(card, updated, source);
+
+        // Changed from the calendar, or given a new time, the list needs redrawing too
+        if (previous && (source || moved)) {
+            entries.sort((a, b) => b.timestamp - a.timestamp);
+            renderEntries();
+        }
+
+        if (onEntryChangeCallback) {
+            onEntryChangeCallback();
+        }
+    };
+
+    /**
+     * Show whether more entries can be loaded
+     */
+    const updateSentinel = () => {
+        const sentinel = document.getElementById('entriesSentinel');
+        if (!sentinel) return;
+
+        sentinel.classList.toggle('hidden', !nextCursor);
+        sentinel.textContent = loadingMore ? 'Loading more entries...' : '';
     };
 
     /**
      * Create entry card HTML
      * @param {Object} entry
+     * @param {Object} [options]
+     * @param {ParsedQuery} [options.highlight] - Search query whose matches are marked in the content,
+     *     shown as plain text instead of Markdown
      * @returns {string}
      */
-    const createEntryCard = (entry) => {
+    const createEntryCard = (entry, { highlight = null } = {}) => {
         const date = new Date(entry.date);
         const formattedDate = date.toLocaleDateString('en-US', {
             weekday: 'short',
@@ -198,13 +705,19 @@ const EntriesManager = (() => {
                         <span class="entry-type-label">${entry.type}</span>
                     </div>
                     <div class="entry-actions">
+                        <button class="history-btn" data-id="${entry.id}" aria-label="Entry history">🕘</button>
+                        <button class="edit-btn" data-id="${entry.id}" aria-label="Edit entry">✏️</button>
                         <button class="delete-btn" data-id="${entry.id}" aria-label="Delete entry">🗑️</button>
                     </div>
                 </div>
-                <div class="entry-content">${escapeHtml(entry.content)}</div>
+                ${highlight
+                    ? `<div class="entry-content">${EntrySearch.highlight(entry.content, highlight)}</div>`
+                    : `<div class="entry-content markdown">${Markdown.render(entry.content)}</div>`}
+                ${EntryFields.describe(entry)}
+                <div class="entry-attachments hidden" data-entry-id="${entry.id}"></div>
                 ${entry.tags && entry.tags.length > 0 ? `
                     <div class="entry-tags">
-                        ${entry.tags.map(tag => `<span class="tag">${escapeHtml(tag)}</span>`).join('')}
+                        ${entry.tags.map(tag => `<span class="tag">${Components.escapeHtml(tag)}</span>`).join('')}
                     </div>
                 ` : ''}
                 <div class="entry-date">${formattedDate}</div>
@@ -213,22 +726,21 @@ const EntriesManager = (() => {
     };
 
     /**
-     * Delete entry
+     * Move entry to the trash
      * @param {string} id - Entry ID
      */
     const deleteEntry = async (id) => {
-        if (!confirm('Are you sure you want to delete this entry?')) return;
-
         try {
             await DiaryStorage.deleteEntry(id);
             entries = entries.filter(e => e.id !== id);
+            updateRecentLogs(id, null);
             renderEntries();
 
             if (onEntryChangeCallback) {
                 onEntryChangeCallback();
             }
 
-            Components.showToast('Entry deleted', 'success');
+            Components.showToast('Entry moved to trash', 'success');
         } catch (error) {
             console.error('Error deleting entry:', error);
             Components.showToast('Failed to delete entry', 'error');
@@ -236,29 +748,89 @@ const EntriesManager = (() => {
     };
 
     /**
-     * Escape HTML to prevent XSS
-     * @param {string} text
-     * @returns {string}
-     */
-    const escapeHtml = (text) => {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
-    };
-
-    /**
-     * Load entries from storage
+     * Load the first page of entries from storage
      */
     const loadEntries = async () => {
+        // Reloads follow changes made elsewhere (sync, import, restore), so quick-logs are read again when needed
+        recentLogs = null;
+
         try {
-            entries = await DiaryStorage.getAllEntries();
+            const page = await DiaryStorage.getEntriesPage({ filters });
+            entries = page.entries;
+            nextCursor = page.nextCursor;
             renderEntries();
+            updateSentinel();
         } catch (error) {
             console.error('Error loading entries:', error);
             Components.showToast('Failed to load entries', 'error');
         }
     };
 
+    /**
+     * Load the next page of entries and append it to the list
+     */
+    const loadMore = async () => {
+        if (!nextCursor || loadingMore) return;
+
+        loadingMore = true;
+        updateSentinel();
+
+        try {
+            const page = await DiaryStorage.getEntriesPage({ cursor: nextCursor, filters });
+            const loadedIds = new Set(entries.map(entry => entry.id));
+            const newEntries = page.entries.filter(entry => !loadedIds.has(entry.id));
+
+            entries = entries.concat(newEntries);
+            nextCursor = page.nextCursor;
+            appendEntries(newEntries);
+        } catch (error) {
+            console.error('Error loading more entries:', error);
+            Components.showToast('Failed to load more entries', 'error');
+        } finally {
+            loadingMore = false;
+            updateSentinel();
+        }
+
+        // Keep going if the sentinel is still on screen after a short page
+        const sentinel = document.getElementById('entriesSentinel');
+        if (scrollObserver && sentinel && nextCursor) {
+            scrollObserver.unobserve(sentinel);
+            scrollObserver.observe(sentinel);
+        }
+    };
+
+    /**
+     * Apply an entry change pushed from another session
+     * @param {Object} change - { type: 'insert'|'update'|'delete', id, entry }
+     */
+    const applyRemoteChange = (change) => {
+        updateRecentLogs(change.id, change.type === 'delete' ? null : change.entry);
+
+        const index = entries.findIndex(e => e.id === change.id);
+
+        if (change.type === 'delete' || EntryModel.isTrashed(change.entry) ||
+            !EntryModel.matchesFilters(change.entry, filters)) {
+            if (index === -1) return;
+            entries.splice(index, 1);
+        } else if (index !== -1) {
+            // Echo of a change this list already shows
+            if (entries[index].version >= change.entry.version) return;
+            entries[index] = change.entry;
+        } else {
+            // Older than the loaded pages, it shows up when scrolling there
+            const oldest = entries[entries.length - 1];
+            if (nextCursor && oldest && change.entry.timestamp < oldest.timestamp) return;
+            entries.push(change.entry);
+        }
+
+        entries.sort((a, b) => b.timestamp - a.timestamp);
+        renderEntries();
+
+        if (onEntryChangeCallback) {
+            onEntryChangeCallback();
+        }
+    };
+
     /**
      * Get current entry type
      * @returns {string}
@@ -266,27 +838,81 @@ const EntriesManager = (() => {
     const getCurrentType = () => currentType;
 
     /**
-     * Get all entries
+     * Get entries loaded so far
      * @returns {Array}
      */
     const getEntries = () => entries;
 
     /**
-     * Add new entry to list
+     * Add new entry to the list in time order, unless the list is filtered to exclude it
      * @param {Object} entry
      */
     const addEntry = (entry) => {
-        entries.unshift(entry);
+        if (!EntryModel.matchesFilters(entry, filters)) return;
+
+        // Backdated past the loaded pages, it shows up when scrolling there
+        const oldest = entries[entries.length - 1];
+        if (nextCursor && oldest && entry.timestamp < oldest.timestamp) return;
+
+        entries.push(entry);
+        entries.sort((a, b) => b.timestamp - a.timestamp);
+        renderEntries();
+    };
+
+    /**
+     * Remove an entry from the list
+     * @param {string} id
+     */
+    const removeEntry = (id) => {
+        const index = entries.findIndex(e => e.id === id);
+        if (index === -1) return;
+
+        entries.splice(index, 1);
         renderEntries();
     };
 
+    /**
+     * Get the time chosen in the entry form
+     * @returns {Date|null} Null to use the current time
+     */
+    const getEntryDate = () => {
+        const value = document.getElementById('entryDate')?.value;
+        const date = value ? new Date(value) : null;
+        return date && !isNaN(date.getTime()) ? date : null;
+    };
+
+    /**
+     * Set the time in the entry form
+     * @param {Date|null} date - Null to go back to the current time
+     */
+    const setEntryDate = (date) => {
+        const input = document.getElementById('entryDate');
+        if (input) {
+            input.value = date ? Components.toDateTimeInput(date) : '';
+        }
+    };
+
+    /**
+     * Set the filters for the list; takes effect on the next loadEntries()
+     * @param {EntryFilters|null} newFilters
+     */
+    const setFilters = (newFilters) => {
+        filters = newFilters;
+    };
+
     // Public API
     return {
         init,
         renderEntries,
+        createEntryCard,
+        bindCardActions,
         loadEntries,
+        loadMore,
         getCurrentType,
         getEntries,
-        addEntry
+        addEntry,
+        getEntryDate,
+        setEntryDate,
+        setFilters
     };
 })();
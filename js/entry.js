@@ -0,0 +1,411 @@
+/**
+ * Entry Model
+ * Single definition of a diary entry: validation, normalization,
+ * and conversion to and from Supabase rows
+ */
+
+/**
+ * Canonical entry shape, returned by every storage adapter
+ * @typedef {Object} Entry
+ * @property {string} id
+ * @property {number} timestamp - Entry time in ms, used for sorting
+ * @property {string} date - Entry time as ISO string
+ * @property {number} updatedAt - Last modification time in ms
+ * @property {number} version - Incremented on every change
+ * @property {string} type - One of EntryModel.TYPES
+ * @property {string} content
+ * @property {Array<string>} tags
+ * @property {Object} customFields
+ * @property {number|null} deletedAt - When the entry was moved to the trash, null if it wasn't
+ */
+
+/**
+ * Filters for listing entries, all optional and combined with AND
+ * @typedef {Object} EntryFilters
+ * @property {string|null} [type] - One of EntryModel.TYPES
+ * @property {Array<string>} [tags] - Entries must have every one of these tags
+ * @property {Date|null} [start] - Entry time at or after
+ * @property {Date|null} [end] - Entry time at or before
+ */
+
+const EntryModel = (() => {
+    const TYPES = ['event', 'thought', 'habit', 'food', 'health'];
+
+    /**
+     * Structured fields stored in customFields, per entry type
+     * kind 'choice' holds one of options, kind 'number' a number between min and max
+     */
+    const FIELD_SCHEMA = {
+        food: [
+            { key: 'mealType', label: 'Meal', kind: 'choice', options: ['breakfast', 'lunch', 'dinner', 'snack'] },
+            { key: 'portion', label: 'Portion', kind: 'choice', options: ['small', 'medium', 'large'] }
+        ],
+        health: [
+            { key: 'severity', label: 'Severity', kind: 'number', min: 1, max: 10, step: 1 },
+            { key: 'sleepHours', label: 'Sleep', kind: 'number', min: 0, max: 24, step: 0.5, unit: 'h' }
+        ],
+        habit: [
+            { key: 'duration', label: 'Duration', kind: 'number', min: 0, max: 1440, step: 1, unit: 'min' }
+        ]
+    };
+
+    // customFields key of an amount logged with a unit, { amount, unit }, e.g. { amount: 8, unit: 'glasses' }
+    // Kept apart from the per-type schema, any quick-log option can declare a unit
+    const QUANTITY_KEY = 'quantity';
+
+    // Every schema field by key, keys are unique across types
+    const FIELDS_BY_KEY = new Map(Object.values(FIELD_SCHEMA).flat().map(field => [field.key, field]));
+
+    // Fields callers may change through updateEntry
+    const EDITABLE_FIELDS = ['type', 'content', 'tags', 'customFields', 'date', 'deletedAt'];
+
+    const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+    /**
+     * Generate a new entry ID
+     * Random v4 UUID, so IDs made on any device never collide and match Supabase's id column
+     * @returns {string}
+     */
+    const createId = () => {
+        if (typeof crypto.randomUUID === 'function') {
+            return crypto.randomUUID();
+        }
+
+        // randomUUID is only available in secure contexts
+        const bytes = crypto.getRandomValues(new Uint8Array(16));
+        bytes[6] = (bytes[6] & 0x0f) | 0x40;
+        bytes[8] = (bytes[8] & 0x3f) | 0x80;
+        const hex = [...bytes].map(byte => byte.toString(16).padStart(2, '0')).join('');
+        return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+    };
+
+    /**
+     * Check if an ID is a UUID (older local entries used timestamps)
+     * @param {string} id
+     * @returns {boolean}
+     */
+    const isId = (id) => typeof id === 'string' && UUID_PATTERN.test(id);
+
+    /**
+     * Check if a value is a plain object
+     * @param {*} value
+     * @returns {boolean}
+     */
+    const isPlainObject = (value) => {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    };
+
+    /**
+     * Get the structured fields of an entry type
+     * @param {string} type
+     * @returns {Array<Object>} { key, label, kind, options | min, max, step, unit }
+     */
+    const getFields = (type) => FIELD_SCHEMA[type] || [];
+
+    /**
+     * Check a value against a schema field
+     * @param {Object} field
+     * @param {*} value
+     * @returns {boolean}
+     */
+    const isValidFieldValue = (field, value) => {
+        if (field.kind === 'choice') {
+            return field.options.includes(value);
+        }
+        return Number.isFinite(value) && value >= field.min && value <= field.max;
+    };
+
+    /**
+     * Check a logged amount
+     * @param {*} value
+     * @returns {boolean}
+     */
+    const isValidQuantity = (value) => {
+        return isPlainObject(value) && Number.isFinite(value.amount) && value.amount >= 0 &&
+            typeof value.unit === 'string' && value.unit.trim().length > 0;
+    };
+
+    /**
+     * Validate entry data
+     * @param {Object} data - Full entry, or only the changed fields when partial
+     * @param {Object} [options]
+     * @param {boolean} [options.partial] - Only check fields that are present
+     * @throws {Error} Listing every problem found
+     */
+    const validate = (data, { partial = false } = {}) => {
+        if (!isPlainObject(data)) {
+            throw new Error('Invalid entry: expected an object');
+        }
+
+        const errors = [];
+        const has = (field) => data[field] !== undefined;
+
+        if (has('id') && !isId(data.id)) {
+            errors.push('id must be a UUID');
+        }
+
+        if (has('type') && !TYPES.includes(data.type)) {
+            errors.push(`type must be one of ${TYPES.join(', ')}`);
+        }
+
+        if (!partial || has('content')) {
+            if (typeof data.content !== 'string' || data.content.trim().length === 0) {
+                errors.push('content is required');
+            }
+        }
+
+        if (has('tags') && (!Array.isArray(data.tags) || data.tags.some(tag => typeof tag !== 'string'))) {
+            errors.push('tags must be a list of strings');
+        }
+
+        if (has('customFields') && !isPlainObject(data.customFields)) {
+            errors.push('customFields must be an object');
+        } else if (has('customFields')) {
+            // Keys outside the schema are left alone, schema keys must hold valid values
+            Object.entries(data.customFields).forEach(([key, value]) => {
+                const field = FIELDS_BY_KEY.get(key);
+                if (field && !isValidFieldValue(field, value)) {
+                    errors.push(field.kind === 'choice'
+                        ? `customFields.${key} must be one of ${field.options.join(', ')}`
+                        : `customFields.${key} must be a number from ${field.min} to ${field.max}`);
+                }
+            });
+            if (data.customFields[QUANTITY_KEY] !== undefined && !isValidQuantity(data.customFields[QUANTITY_KEY])) {
+                errors.push(`customFields.${QUANTITY_KEY} must have an amount of 0 or more and a unit`);
+            }
+        }
+
+        if (has('date') && isNaN(new Date(data.date).getTime())) {
+            errors.push('date must be a valid date');
+        }
+
+        if (has('deletedAt') && data.deletedAt !== null && !Number.isFinite(data.deletedAt)) {
+            errors.push('deletedAt must be a time in ms or null');
+        }
+
+        if (errors.length > 0) {
+            throw new Error(`Invalid entry: ${errors.join(', ')}`);
+        }
+    };
+
+    /**
+     * Canonical form of a tag, so "Work", "work" and "work " are one tag
+     * @param {string} tag
+     * @returns {string}
+     */
+    const normalizeTag = (tag) => String(tag).trim().replace(/\s+/g, ' ').toLowerCase();
+
+    /**
+     * Normalize tags, dropping empty and duplicate ones
+     * @param {Array<string>} tags
+     * @returns {Array<string>}
+     */
+    const normalizeTags = (tags) => {
+        if (!Array.isArray(tags)) return [];
+        return [...new Set(tags.map(normalizeTag).filter(tag => tag.length > 0))];
+    };
+
+    /**
+     * Read tags typed as a comma separated list
+     * @param {string} text
+     * @returns {Array<string>}
+     */
+    const parseTags = (text) => normalizeTags(String(text || '').split(','));
+
+    /**
+     * Bring any stored or incoming entry into the canonical shape
+     * Lenient: fills defaults for records written by older versions
+     * @param {Object} data
+     * @returns {Entry}
+     */
+    const normalize = (data) => {
+        const time = data.date !== undefined ? new Date(data.date)
+            : data.timestamp !== undefined ? new Date(data.timestamp)
+                : new Date();
+
+        return {
+            id: data.id !== undefined && data.id !== null ? String(data.id) : null,
+            timestamp: time.getTime(),
+            date: time.toISOString(),
+            updatedAt: data.updatedAt || time.getTime(),
+            version: data.version || 1,
+            type: TYPES.includes(data.type) ? data.type : 'event',
+            content: typeof data.content === 'string' ? data.content : String(data.content ?? ''),
+            tags: normalizeTags(data.tags),
+            customFields: isPlainObject(data.customFields) ? data.customFields : {},
+            deletedAt: data.deletedAt || null
+        };
+    };
+
+    /**
+     * Get the valid schema fields of an entry, in schema order
+     * @param {Entry} entry
+     * @returns {Array<Object>} { field, value }
+     */
+    const getFieldValues = (entry) => {
+        return getFields(entry.type)
+            .filter(field => entry.customFields[field.key] !== undefined &&
+                isValidFieldValue(field, entry.customFields[field.key]))
+            .map(field => ({ field, value: entry.customFields[field.key] }));
+    };
+
+    /**
+     * Get the amount logged with an entry
+     * @param {Entry} entry
+     * @returns {Object|null} { amount, unit }
+     */
+    const getQuantity = (entry) => {
+        const quantity = entry.customFields[QUANTITY_KEY];
+        return isValidQuantity(quantity) ? { amount: quantity.amount, unit: quantity.unit } : null;
+    };
+
+    /**
+     * Replace the schema fields of customFields, keeping any other keys
+     * @param {Object} customFields - Current customFields
+     * @param {Object} values - Schema field values for the entry's type
+     * @returns {Object}
+     */
+    const withFieldValues = (customFields, values) => {
+        const kept = Object.fromEntries(Object.entries(customFields || {})
+            .filter(([key]) => !FIELDS_BY_KEY.has(key)));
+        return { ...kept, ...values };
+    };
+
+    /**
+     * Check if an entry is in the trash
+     * @param {Entry} entry
+     * @returns {boolean}
+     */
+    const isTrashed = (entry) => Boolean(entry.deletedAt);
+
+    /**
+     * Count how often each tag is used
+     * @param {Array<string>} tags - Every tag of every counted entry
+     * @returns {Array<Object>} { tag, count }, most used first, then by name
+     */
+    const countTags = (tags) => {
+        const counts = new Map();
+        tags.forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+
+        return [...counts].map(([tag, count]) => ({ tag, count }))
+            .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+    };
+
+    /**
+     * Check if an entry passes list filters
+     * @param {Entry} entry
+     * @param {EntryFilters|null} filters
+     * @returns {boolean}
+     */
+    const matchesFilters = (entry, filters) => {
+        if (!filters) return true;
+        const { type = null, tags = [], start = null, end = null } = filters;
+
+        return (!type || entry.type === type) &&
+            tags.every(tag => entry.tags.includes(tag)) &&
+            (!start || entry.timestamp >= start.getTime()) &&
+            (!end || entry.timestamp <= end.getTime());
+    };
+
+    /**
+     * Keep only editable fields from an update, normalized
+     * @param {Object} updates
+     * @returns {Object}
+     */
+    const normalizeUpdates = (updates) => {
+        const changes = {};
+        EDITABLE_FIELDS.forEach(field => {
+            if (updates[field] !== undefined) {
+                changes[field] = updates[field];
+            }
+        });
+
+        if (changes.tags !== undefined) {
+            changes.tags = normalizeTags(changes.tags);
+        }
+        if (changes.date !== undefined) {
+            changes.date = new Date(changes.date).toISOString();
+        }
+        return changes;
+    };
+
+    /**
+     * Convert a Supabase row to an entry
+     * @param {Object} row
+     * @returns {Entry}
+     */
+    const fromRow = (row) => normalize({
+        id: row.id,
+        date: row.created_at,
+        updatedAt: new Date(row.updated_at || row.created_at).getTime(),
+        version: row.version,
+        type: row.type,
+        content: row.content,
+        tags: row.tags,
+        customFields: row.custom_fields,
+        deletedAt: row.deleted_at ? new Date(row.deleted_at).getTime() : null
+    });
+
+    /**
+     * Convert an entry to a Supabase row for insert
+     * version and updated_at are assigned by the database
+     * @param {Entry} entry
+     * @param {string} userId
+     * @returns {Object}
+     */
+    const toRow = (entry, userId) => ({
+        id: entry.id,
+        user_id: userId,
+        type: entry.type,
+        content: entry.content,
+        tags: entry.tags,
+        custom_fields: entry.customFields,
+        created_at: entry.date,
+        deleted_at: entry.deletedAt ? new Date(entry.deletedAt).toISOString() : null
+    });
+
+    /**
+     * Convert entry updates to Supabase column names
+     * @param {Object} updates
+     * @returns {Object}
+     */
+    const toRowUpdates = (updates) => {
+        const changes = normalizeUpdates(updates);
+        const row = {};
+
+        if (changes.type !== undefined) row.type = changes.type;
+        if (changes.content !== undefined) row.content = changes.content;
+        if (changes.tags !== undefined) row.tags = changes.tags;
+        if (changes.customFields !== undefined) row.custom_fields = changes.customFields;
+        if (changes.date !== undefined) row.created_at = changes.date;
+        if (changes.deletedAt !== undefined) {
+            row.deleted_at = changes.deletedAt ? new Date(changes.deletedAt).toISOString() : null;
+        }
+
+        return row;
+    };
+
+    // Public API
+    return {
+        TYPES,
+        createId,
+        isId,
+        getFields,
+        QUANTITY_KEY,
+        getFieldValues,
+        getQuantity,
+        withFieldValues,
+        validate,
+        normalize,
+        normalizeUpdates,
+        normalizeTag,
+        normalizeTags,
+        parseTags,
+        countTags,
+        isTrashed,
+        matchesFilters,
+        fromRow,
+        toRow,
+        toRowUpdates
+    };
+})();
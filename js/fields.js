@@ -0,0 +1,149 @@
+/**
+ * Fields Module
+ * Inputs and card display for the structured per-type fields in customFields,
+ * e.g. meal and portion for food, severity and sleep for health
+ */
+
+const EntryFields = (() => {
+    /**
+     * Render inputs for the fields of an entry type
+     * @param {HTMLElement} container
+     * @param {string} type
+     * @param {Object} [values] - Current customFields
+     * @param {string} [idPrefix] - Makes input IDs unique when several forms are open
+     */
+    const render = (container, type, values = {}, idPrefix = 'field') => {
+        if (!container) return;
+
+        const fields = EntryModel.getFields(type);
+        const quantity = EntryModel.getQuantity({ customFields: values });
+        container.classList.toggle('hidden', fields.length === 0 && !quantity);
+
+        // The amount is only editable on entries logged with one, its unit comes from the option
+        const amountInput = quantity ? `
+            <div class="custom-field">
+                <label class="settings-label" for="${idPrefix}-quantity">Amount (${Components.escapeHtml(quantity.unit)})</label>
+                <input type="number" class="tag-input" id="${idPrefix}-quantity" data-quantity
+                    min="0" step="any" value="${quantity.amount}">
+            </div>
+        ` : '';
+
+        container.innerHTML = amountInput + fields.map(field => {
+            const id = `${idPrefix}-${field.key}`;
+            const value = values[field.key];
+            const label = `<label class="settings-label" for="${id}">${field.label}${field.unit ? ` (${field.unit})` : ''}</label>`;
+
+            if (field.kind === 'choice') {
+                return `
+                    <div class="custom-field">
+                        ${label}
+                        <select class="settings-select" id="${id}" data-field="${field.key}">
+                            <option value="">—</option>
+                            ${field.options.map(option => `
+                                <option value="${option}"${option === value ? ' selected' : ''}>${option}</option>
+                            `).join('')}
+                        </select>
+                    </div>
+                `;
+            }
+
+            return `
+                <div class="custom-field">
+                    ${label}
+                    <input type="number" class="tag-input" id="${id}" data-field="${field.key}"
+                        min="${field.min}" max="${field.max}" step="${field.step}"
+                        value="${Number.isFinite(value) ? value : ''}">
+                </div>
+            `;
+        }).join('');
+    };
+
+    /**
+     * Read the field inputs rendered for an entry type
+     * @param {HTMLElement} container
+     * @param {string} type
+     * @param {string} [unit] - Unit of the amount input, when one was rendered
+     * @returns {Object} Values of the filled in fields
+     * @throws {Error} Naming the first field with a value out of range
+     */
+    const read = (container, type, unit = null) => {
+        const values = {};
+        if (!container) return values;
+
+        const amountInput = container.querySelector('[data-quantity]');
+        if (amountInput && unit) {
+            const raw = amountInput.value.trim();
+            const amount = raw ? Number(raw) : NaN;
+            if (!(Number.isFinite(amount) && amount >= 0)) {
+                throw new Error('Amount must be a number of 0 or more');
+            }
+            values[EntryModel.QUANTITY_KEY] = { amount, unit };
+        }
+
+        EntryModel.getFields(type).forEach(field => {
+            const input = container.querySelector(`[data-field="${field.key}"]`);
+            const raw = input ? input.value.trim() : '';
+            if (!raw) return;
+
+            const value = field.kind === 'number' ? Number(raw) : raw;
+            if (field.kind === 'number' && !(Number.isFinite(value) && value >= field.min && value <= field.max)) {
+                throw new Error(`${field.label} must be from ${field.min} to ${field.max}`);
+            }
+            values[field.key] = value;
+        });
+
+        return values;
+    };
+
+    /**
+     * Format one field value for display
+     * @param {Object} field
+     * @param {*} value
+     * @returns {string}
+     */
+    const formatValue = (field, value) => field.unit ? `${value} ${field.unit}` : String(value);
+
+    /**
+     * Format a logged amount, e.g. "8 glasses"
+     * @param {Object} quantity - { amount, unit }
+     * @returns {string}
+     */
+    const formatQuantity = (quantity) => `${quantity.amount} ${quantity.unit}`;
+
+    /**
+     * Card HTML for an entry's fields
+     * @param {Entry} entry
+     * @returns {string} Empty when the entry has none
+     */
+    const describe = (entry) => {
+        const values = EntryModel.getFieldValues(entry);
+        const quantity = EntryModel.getQuantity(entry);
+        if (values.length === 0 && !quantity) return '';
+
+        return `
+            <div class="entry-fields">
+                ${quantity ? `
+                    <span class="entry-field">
+                        <span class="entry-field-label">Amount</span>
+                        ${Components.escapeHtml(formatQuantity(quantity))}
+                    </span>
+                ` : ''}
+                ${values.map(({ field, value }) => `
+                    <span class="entry-field">
+                        <span class="entry-field-label">${field.label}</span>
+                        ${Components.escapeHtml(formatValue(field, value))}
+                    </span>
+                `).join('')}
+            </div>
+        `;
+    };
+
+    // Public API
+    return {
+        render,
+        read,
+        formatValue,
+        formatQuantity,
+        describe
+    };
+})();
@@ -0,0 +1,139 @@
+/**
+ * Filters Module
+ * Filter bar for the entries list: type, tags and date range
+ * The filters are kept in the URL hash so a filtered list can be bookmarked
+ */
+
+const FilterBar = (() => {
+    let state = { type: '', tags: [], from: '', to: '' };
+    let onChangeCallback = null;
+
+    /**
+     * Initialize filter bar from the URL hash
+     * @param {Function} onChange - Called with the new EntryFilters when the user changes them
+     */
+    const init = (onChange) => {
+        onChangeCallback = onChange;
+        state = readHash();
+        fillForm();
+
+        ['filterType', 'filterTags', 'filterFrom', 'filterTo'].forEach(id => {
+            document.getElementById(id)?.addEventListener('change', () => {
+                state = readForm();
+                writeHash();
+                notifyChange();
+            });
+        });
+
+        document.getElementById('clearFiltersBtn')?.addEventListener('click', () => {
+            state = { type: '', tags: [], from: '', to: '' };
+            fillForm();
+            writeHash();
+            notifyChange();
+        });
+
+        // Back and forward buttons, or an edited bookmark
+        window.addEventListener('hashchange', () => {
+            state = readHash();
+            fillForm();
+            notifyChange();
+        });
+    };
+
+    /**
+     * Read filter state from the URL hash, ignoring anything invalid
+     * @returns {Object}
+     */
+    const readHash = () => {
+        const params = new URLSearchParams(location.hash.slice(1));
+        const date = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value || '') ? value : '';
+        const type = params.get('type');
+
+        return {
+            type: EntryModel.TYPES.includes(type) ? type : '',
+            tags: EntryModel.parseTags(params.get('tags')),
+            from: date(params.get('from')),
+            to: date(params.get('to'))
+        };
+    };
+
+    /**
+     * Write filter state to the URL hash without adding a history entry
+     */
+    const writeHash = () => {
+        const params = new URLSearchParams();
+        if (state.type) params.set('type', state.type);
+        if (state.tags.length > 0) params.set('tags', state.tags.join(','));
+        if (state.from) params.set('from', state.from);
+        if (state.to) params.set('to', state.to);
+
+        const hash = params.toString();
+        history.replaceState(null, '', hash ? `#${hash}` : location.pathname + location.search);
+    };
+
+    /**
+     * Read filter state from the form
+     * @returns {Object}
+     */
+    const readForm = () => ({
+        type: document.getElementById('filterType')?.value || '',
+        tags: EntryModel.parseTags(document.getElementById('filterTags')?.value),
+        from: document.getElementById('filterFrom')?.value || '',
+        to: document.getElementById('filterTo')?.value || ''
+    });
+
+    /**
+     * Show filter state in the form
+     */
+    const fillForm = () => {
+        const set = (id, value) => {
+            const el = document.getElementById(id);
+            if (el) el.value = value;
+        };
+        set('filterType', state.type);
+        set('filterTags', state.tags.join(', '));
+        set('filterFrom', state.from);
+        set('filterTo', state.to);
+
+        document.getElementById('clearFiltersBtn')?.classList.toggle('hidden', !isActive());
+    };
+
+    /**
+     * Check if any filter is set
+     * @returns {boolean}
+     */
+    const isActive = () => Boolean(state.type || state.tags.length > 0 || state.from || state.to);
+
+    /**
+     * Get the current filters for storage queries
+     * Dates cover whole local days
+     * @returns {EntryFilters|null} Null when nothing is filtered
+     */
+    const getFilters = () => {
+        if (!isActive()) return null;
+
+        return {
+            type: state.type || null,
+            tags: state.tags,
+            start: state.from ? new Date(`${state.from}T00:00:00`) : null,
+            end: state.to ? new Date(`${state.to}T23:59:59.999`) : null
+        };
+    };
+
+    /**
+     * Notify the app that filters changed
+     */
+    const notifyChange = () => {
+        document.getElementById('clearFiltersBtn')?.classList.toggle('hidden', !isActive());
+
+        if (onChangeCallback) {
+            onChangeCallback(getFilters());
+        }
+    };
+
+    // Public API
+    return {
+        init,
+        getFilters
+    };
+})();
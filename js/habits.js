@@ -0,0 +1,495 @@
+/**
+ * Habits Module
+ * Goals for habits, streaks computed from habit entries, and the habit dashboard
+ * with today's checklist and a completion grid per habit
+ *
+ * A habit is done on a day when a habit entry with the habit's name as its content
+ * is dated that day, which is what logging it from the quick-log dropdown creates.
+ * Goals are a synced list (the habit_goals table when signed in).
+ *
+ * Goal kinds:
+ * - daily: every day
+ * - weekdays: on the listed days of the week (0 = Sunday)
+ * - weekly: on timesPerWeek different days of each week, weeks starting on Sunday like the calendar
+ */
+
+const HabitTracker = (() => {
+    const GOAL_KINDS = ['daily', 'weekdays', 'weekly'];
+    const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+    const GRID_WEEKS = 12;
+
+    const goals = SyncedList.create({
+        storageKey: 'chronicle_habit_goals',
+        table: 'habit_goals',
+        keyOf: goal => goal.habit,
+        onConflict: 'user_id,habit',
+        toRow: (goal, userId) => ({
+            id: goal.id,
+            user_id: userId,
+            habit: goal.habit,
+            kind: goal.kind,
+            times_per_week: goal.timesPerWeek,
+            weekdays: goal.weekdays,
+            updated_at: new Date(goal.updatedAt).toISOString()
+        }),
+        fromRow: row => ({
+            id: row.id,
+            habit: row.habit,
+            kind: row.kind,
+            timesPerWeek: row.times_per_week,
+            weekdays: row.weekdays || [],
+            updatedAt: new Date(row.updated_at).getTime()
+        })
+    });
+
+    let onChangeCallback = null;
+    let editingId = null;
+
+    /**
+     * Initialize the habit dashboard
+     * @param {Function} onChange - Callback after habits are logged from the checklist, expected to call render()
+     */
+    const init = (onChange) => {
+        onChangeCallback = onChange;
+
+        goals.onChange(() => {
+            if (isVisible()) render();
+        });
+        goals.init().catch(error => console.error('Error loading habit goals:', error));
+
+        // A goal follows its habit when the option is renamed
+        QuickLog.onRename((type, habit, newName) => {
+            const goal = type === 'habit' && goals.getAll().find(g => g.habit === habit);
+            if (goal) {
+                goals.remove(goal.id);
+                goals.put({ ...goal, id: null, habit: newName });
+            }
+        });
+
+        document.getElementById('newHabitGoalBtn')?.addEventListener('click', () => openForm(null));
+        document.getElementById('cancelHabitGoalBtn')?.addEventListener('click', closeForm);
+        document.getElementById('habitGoalKind')?.addEventListener('change', updateFormFields);
+        document.getElementById('habitGoalForm')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            saveForm();
+        });
+    };
+
+    /**
+     * Check if the dashboard is on screen
+     * @returns {boolean}
+     */
+    const isVisible = () => {
+        const section = document.getElementById('habitsSection');
+        return !!section && !section.classList.contains('hidden');
+    };
+
+    /**
+     * Get the habit goals, by habit name
+     * @returns {Array} { id, habit, kind, timesPerWeek, weekdays }
+     */
+    const getGoals = () => goals.getAll().sort((a, b) => a.habit.localeCompare(b.habit));
+
+    /**
+     * Start of the local day, days later
+     * @param {Date} date
+     * @param {number} [days]
+     * @returns {Date}
+     */
+    const addDays = (date, days = 0) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+    /**
+     * Start of the week (Sunday) a date falls in
+     * @param {Date} date
+     * @returns {Date}
+     */
+    const weekStart = (date) => addDays(date, -date.getDay());
+
+    /**
+     * Check if an entry logs a habit
+     * @param {Entry} entry
+     * @param {string} habit
+     * @returns {boolean}
+     */
+    const isLogOf = (entry, habit) =>
+        entry.type === 'habit' && entry.content.trim().toLowerCase() === habit.trim().toLowerCase();
+
+    /**
+     * Days on which a habit was logged
+     * @param {Array} entries - Habit entries
+     * @param {string} habit
+     * @returns {Set<string>} Day keys
+     */
+    const getCompletedDays = (entries, habit) => new Set(
+        entries.filter(entry => isLogOf(entry, habit)).map(entry => Components.toDayKey(new Date(entry.date)))
+    );
+
+    /**
+     * Check if a goal asks for the habit on a day; weekly goals accept any day
+     * @param {Object} goal
+     * @param {Date} date
+     * @returns {boolean}
+     */
+    const isScheduled = (goal, date) => goal.kind !== 'weekdays' || goal.weekdays.includes(date.getDay());
+
+    /**
+     * Count the days of a week the habit was done
+     * @param {Set<string>} days - Completed day keys
+     * @param {Date} start - Sunday the week starts on
+     * @returns {number}
+     */
+    const countInWeek = (days, start) => {
+        let count = 0;
+        for (let i = 0; i < 7; i++) {
+            if (days.has(Components.toDayKey(addDays(start, i)))) count++;
+        }
+        return count;
+    };
+
+    /**
+     * Compute the current and best streak of a habit
+     * Streaks count days, or weeks for weekly goals. Today, or this week, only
+     * adds to a streak once it's done and never breaks one while it's still going.
+     * @param {Object} goal
+     * @param {Set<string>} days - Completed day keys
+     * @param {Date} [today]
+     * @returns {Object} { current, best, unit }
+     */
+    const getStreaks = (goal, days, today = new Date()) => {
+        const unit = goal.kind === 'weekly' ? 'week' : 'day';
+        if (days.size === 0) return { current: 0, best: 0, unit };
+
+        const first = [...days].sort()[0].split('-').map(Number);
+        const firstDay = new Date(first[0], first[1] - 1, first[2]);
+        const step = unit === 'week' ? 7 : 1;
+        const end = unit === 'week' ? weekStart(today) : addDays(today);
+
+        let run = 0;
+        let best = 0;
+        for (let date = unit === 'week' ? weekStart(firstDay) : firstDay; date <= end; date = addDays(date, step)) {
+            if (unit === 'day' && !isScheduled(goal, date)) continue;
+
+            const done = unit === 'week'
+                ? countInWeek(days, date) >= goal.timesPerWeek
+                : days.has(Components.toDayKey(date));
+
+            if (done) {
+                run++;
+                best = Math.max(best, run);
+            } else if (date.getTime() !== end.getTime()) {
+                run = 0;
+            }
+        }
+
+        return { current: run, best, unit };
+    };
+
+    /**
+     * Describe a goal in words
+     * @param {Object} goal
+     * @returns {string}
+     */
+    const describeGoal = (goal) => {
+        if (goal.kind === 'weekly') {
+            return `${goal.timesPerWeek}× a week`;
+        }
+        if (goal.kind === 'weekdays') {
+            return goal.weekdays.map(day => DAY_NAMES[day]).join(', ');
+        }
+        return 'Every day';
+    };
+
+    /**
+     * Format a streak length
+     * @param {number} count
+     * @param {string} unit - day or week
+     * @returns {string}
+     */
+    const formatStreak = (count, unit) => `${count} ${unit}${count === 1 ? '' : 's'}`;
+
+    /**
+     * Render the dashboard
+     */
+    const render = async () => {
+        const checklist = document.getElementById('habitChecklist');
+        const grids = document.getElementById('habitGrids');
+        if (!checklist || !grids) return;
+
+        const all = getGoals();
+        if (all.length === 0) {
+            checklist.innerHTML = `
+                <div class="empty-state">
+                    <p>No habit goals yet. Add one to start tracking streaks.</p>
+                </div>
+            `;
+            grids.innerHTML = '';
+            return;
+        }
+
+        let entries = [];
+        try {
+            entries = await DiaryStorage.getEntriesByType('habit');
+        } catch (error) {
+            console.error('Error loading habits:', error);
+            Components.showToast('Failed to load habits', 'error');
+        }
+
+        const today = new Date();
+        const todayKey = Components.toDayKey(today);
+        const tracked = all.map(goal => {
+            const days = getCompletedDays(entries, goal.habit);
+            return {
+                goal,
+                days,
+                streaks: getStreaks(goal, days, today),
+                doneToday: days.has(todayKey),
+                thisWeek: countInWeek(days, weekStart(today))
+            };
+        });
+
+        renderChecklist(checklist, tracked.filter(item =>
+            isScheduled(item.goal, today) &&
+            (item.goal.kind !== 'weekly' || item.doneToday || item.thisWeek < item.goal.timesPerWeek)
+        ), entries);
+        renderGrids(grids, tracked, today);
+    };
+
+    /**
+     * Render today's checklist
+     * Rows refer to habits by position, names can contain any character
+     * @param {HTMLElement} container
+     * @param {Array} due - Tracked habits due today
+     * @param {Array} entries - Habit entries
+     */
+    const renderChecklist = (container, due, entries) => {
+        if (due.length === 0) {
+            container.innerHTML = '<p class="info-text">Nothing due today.</p>';
+            return;
+        }
+
+        container.innerHTML = due.map((item, index) => `
+            <label class="habit-check${item.doneToday ? ' done' : ''}">
+                <input type="checkbox" data-index="${index}"${item.doneToday ? ' checked' : ''}>
+                <span class="habit-check-name">${Components.escapeHtml(item.goal.habit)}</span>
+                <span class="habit-check-meta">
+                    ${item.goal.kind === 'weekly' ? `${item.thisWeek}/${item.goal.timesPerWeek} this week · ` : ''}🔥 ${formatStreak(item.streaks.current, item.streaks.unit)}
+                </span>
+            </label>
+        `).join('');
+
+        container.querySelectorAll('input[type="checkbox"]').forEach(input => {
+            input.addEventListener('change', () => {
+                const { goal } = due[input.dataset.index];
+                if (input.checked) {
+                    logToday(goal.habit);
+                } else {
+                    unlogToday(goal.habit, entries);
+                }
+            });
+        });
+    };
+
+    /**
+     * Render a completion grid per habit, columns are weeks and rows days of the week
+     * @param {HTMLElement} container
+     * @param {Array} tracked
+     * @param {Date} today
+     */
+    const renderGrids = (container, tracked, today) => {
+        const start = addDays(weekStart(today), -7 * (GRID_WEEKS - 1));
+
+        container.innerHTML = tracked.map((item, index) => {
+            const cells = [];
+            for (let i = 0; i < GRID_WEEKS * 7; i++) {
+                const date = addDays(start, i);
+                const key = Components.toDayKey(date);
+                let state = 'open';
+                if (item.days.has(key)) {
+                    state = 'done';
+                } else if (date > today) {
+                    state = 'future';
+                } else if (!isScheduled(item.goal, date)) {
+                    state = 'rest';
+                } else if (item.goal.kind !== 'weekly' && key !== Components.toDayKey(today)) {
+                    state = 'missed';
+                }
+                cells.push(`<span class="habit-cell ${state}" title="${Components.formatDate(date)}"></span>`);
+            }
+
+            return `
+                <div class="card glass-card habit-card">
+                    <div class="habit-card-header">
+                        <div>
+                            <h3 class="habit-name">${Components.escapeHtml(item.goal.habit)}</h3>
+                            <span class="habit-goal">${describeGoal(item.goal)}</span>
+                        </div>
+                        <div class="entry-actions">
+                            <button class="restore-btn habit-edit-btn" data-index="${index}">Edit</button>
+                            <button class="delete-btn habit-delete-btn" data-index="${index}" aria-label="Stop tracking">🗑️</button>
+                        </div>
+                    </div>
+                    <div class="habit-streaks">
+                        <span>Current streak <strong>${formatStreak(item.streaks.current, item.streaks.unit)}</strong></span>
+                        <span>Best <strong>${formatStreak(item.streaks.best, item.streaks.unit)}</strong></span>
+                    </div>
+                    <div class="habit-grid" aria-label="Last ${GRID_WEEKS} weeks">${cells.join('')}</div>
+                </div>
+            `;
+        }).join('');
+
+        container.querySelectorAll('.habit-edit-btn').forEach(btn => {
+            btn.addEventListener('click', () => openForm(tracked[btn.dataset.index].goal));
+        });
+        container.querySelectorAll('.habit-delete-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const { goal } = tracked[btn.dataset.index];
+                if (confirm(`Stop tracking "${goal.habit}"? Its entries are kept.`)) {
+                    goals.remove(goal.id);
+                    Components.showToast('Habit goal removed', 'success');
+                }
+            });
+        });
+    };
+
+    /**
+     * Log a habit as done now
+     * @param {string} habit
+     */
+    const logToday = async (habit) => {
+        try {
+            await QuickLog.createQuickLogEntry('habit', habit);
+            Components.showToast(`habit logged: ${habit}`, 'success');
+        } catch (error) {
+            console.error('Error logging habit:', error);
+            Components.showToast('Failed to log habit', 'error');
+        }
+        await afterChange();
+    };
+
+    /**
+     * Move today's logs of a habit to the trash
+     * @param {string} habit
+     * @param {Array} entries - Habit entries
+     */
+    const unlogToday = async (habit, entries) => {
+        const todayKey = Components.toDayKey(new Date());
+        const logs = entries.filter(entry => isLogOf(entry, habit) && Components.toDayKey(new Date(entry.date)) === todayKey);
+
+        try {
+            for (const entry of logs) {
+                await DiaryStorage.deleteEntry(entry.id);
+            }
+            Components.showToast('Moved today\'s log to trash', 'success');
+        } catch (error) {
+            console.error('Error removing habit log:', error);
+            Components.showToast('Failed to undo habit', 'error');
+        }
+        await afterChange();
+    };
+
+    /**
+     * Refresh the app after logging from the checklist, which re-renders the dashboard
+     */
+    const afterChange = async () => {
+        if (onChangeCallback) {
+            await onChangeCallback();
+        } else {
+            await render();
+        }
+    };
+
+    /**
+     * Open the goal form
+     * @param {Object|null} goal - Null for a new goal
+     */
+    const openForm = (goal) => {
+        editingId = goal ? goal.id : null;
+
+        const habitSelect = document.getElementById('habitGoalHabit');
+        const tracked = new Set(getGoals().map(g => g.habit));
+        const habits = QuickLog.getOptions('habit').filter(habit => !tracked.has(habit) || (goal && habit === goal.habit));
+        if (goal && !habits.includes(goal.habit)) habits.unshift(goal.habit);
+
+        if (habits.length === 0) {
+            Components.showToast('Every habit already has a goal', 'info');
+            return;
+        }
+
+        habitSelect.replaceChildren(...habits.map(habit => {
+            const option = document.createElement('option');
+            option.value = habit;
+            option.textContent = habit;
+            return option;
+        }));
+        habitSelect.value = goal ? goal.habit : habits[0];
+        habitSelect.disabled = !!goal;
+
+        document.getElementById('habitGoalKind').value = goal ? goal.kind : 'daily';
+        document.getElementById('habitGoalTimes').value = goal && goal.kind === 'weekly' ? goal.timesPerWeek : 3;
+        document.querySelectorAll('#habitGoalWeekdays input').forEach(input => {
+            input.checked = goal && goal.kind === 'weekdays'
+                ? goal.weekdays.includes(Number(input.value))
+                : input.value !== '0' && input.value !== '6';
+        });
+
+        updateFormFields();
+        document.getElementById('habitGoalForm')?.classList.remove('hidden');
+    };
+
+    /**
+     * Show the inputs that apply to the chosen goal kind
+     */
+    const updateFormFields = () => {
+        const kind = document.getElementById('habitGoalKind')?.value;
+        document.getElementById('habitGoalTimesField')?.classList.toggle('hidden', kind !== 'weekly');
+        document.getElementById('habitGoalWeekdays')?.classList.toggle('hidden', kind !== 'weekdays');
+    };
+
+    /**
+     * Close the goal form
+     */
+    const closeForm = () => {
+        editingId = null;
+        document.getElementById('habitGoalForm')?.classList.add('hidden');
+    };
+
+    /**
+     * Save the goal form
+     */
+    const saveForm = () => {
+        const habit = document.getElementById('habitGoalHabit').value;
+        const kind = document.getElementById('habitGoalKind').value;
+        const timesPerWeek = Number(document.getElementById('habitGoalTimes').value);
+        const weekdays = [...document.querySelectorAll('#habitGoalWeekdays input:checked')].map(input => Number(input.value));
+
+        if (!habit || !GOAL_KINDS.includes(kind)) return;
+
+        if (kind === 'weekly' && !(Number.isInteger(timesPerWeek) && timesPerWeek >= 1 && timesPerWeek <= 7)) {
+            Components.showToast('Times per week must be from 1 to 7', 'error');
+            return;
+        }
+        if (kind === 'weekdays' && weekdays.length === 0) {
+            Components.showToast('Pick at least one day', 'error');
+            return;
+        }
+
+        goals.put({
+            id: editingId,
+            habit,
+            kind,
+            timesPerWeek: kind === 'weekly' ? timesPerWeek : null,
+            weekdays: kind === 'weekdays' ? weekdays : []
+        });
+        closeForm();
+        Components.showToast('Habit goal saved', 'success');
+    };
+
+    // Public API
+    return {
+        init,
+        render,
+        getGoals,
+        getCompletedDays,
+        getStreaks
+    };
+})();
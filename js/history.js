@@ -0,0 +1,192 @@
+/**
+ * History Module
+ * Shows earlier versions of an entry with word diffs, and restores them
+ */
+
+const EntryHistory = (() => {
+    /**
+     * Diff two texts word by word
+     * @param {string} before
+     * @param {string} after
+     * @returns {Array<Object>} Parts as { type: 'same'|'added'|'removed', text }
+     */
+    const diffWords = (before, after) => {
+        // Split keeping whitespace, so joining the parts gives the text back
+        const a = before.split(/(\s+)/).filter(Boolean);
+        const b = after.split(/(\s+)/).filter(Boolean);
+
+        // Longest common subsequence table, filled from the end
+        const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+        for (let i = a.length - 1; i >= 0; i--) {
+            for (let j = b.length - 1; j >= 0; j--) {
+                lengths[i][j] = a[i] === b[j]
+                    ? lengths[i + 1][j + 1] + 1
+                    : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+            }
+        }
+
+        const parts = [];
+        const push = (type, text) => {
+            const last = parts[parts.length - 1];
+            if (last && last.type === type) {
+                last.text += text;
+            } else {
+                parts.push({ type, text });
+            }
+        };
+
+        let i = 0;
+        let j = 0;
+        while (i < a.length && j < b.length) {
+            if (a[i] === b[j]) {
+                push('same', a[i]);
+                i++;
+                j++;
+            } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+                push('removed', a[i++]);
+            } else {
+                push('added', b[j++]);
+            }
+        }
+        while (i < a.length) push('removed', a[i++]);
+        while (j < b.length) push('added', b[j++]);
+
+        return parts;
+    };
+
+    /**
+     * Create diff HTML
+     * @param {string} before
+     * @param {string} after
+     * @returns {string}
+     */
+    const renderDiff = (before, after) => {
+        return diffWords(before, after).map(part => {
+            const text = Components.escapeHtml(part.text);
+            if (part.type === 'added') return `<ins class="diff-added">${text}</ins>`;
+            if (part.type === 'removed') return `<del class="diff-removed">${text}</del>`;
+            return text;
+        }).join('');
+    };
+
+    /**
+     * Create HTML for one revision
+     * @param {Object} revision
+     * @param {Object|null} previous - Revision before it, null for the first
+     * @param {boolean} isCurrent - Matches what the entry says now
+     * @returns {string}
+     */
+    const createRevision = (revision, previous, isCurrent) => {
+        const savedAt = new Date(revision.savedAt);
+        const changes = [];
+        if (previous && previous.type !== revision.type) {
+            changes.push(`type ${previous.type} → ${revision.type}`);
+        }
+        if (previous && previous.tags.join(',') !== revision.tags.join(',')) {
+            changes.push(`tags: ${revision.tags.length > 0 ? revision.tags.map(Components.escapeHtml).join(', ') : 'none'}`);
+        }
+
+        return `
+            <div class="history-revision">
+                <div class="history-meta">
+                    <span>${Components.formatDate(savedAt)}, ${Components.formatTime(savedAt)}${previous ? '' : ' · original'}</span>
+                    ${isCurrent
+                        ? '<span class="history-current">Current</span>'
+                        : `<button class="restore-btn" data-revision="${revision.id}">Restore this version</button>`}
+                </div>
+                ${changes.length > 0 ? `<div class="history-changes">${changes.join(' · ')}</div>` : ''}
+                <div class="entry-content">${previous
+                    ? renderDiff(previous.content, revision.content)
+                    : Components.escapeHtml(revision.content)}</div>
+            </div>
+        `;
+    };
+
+    /**
+     * Check if a revision matches the entry as it is
+     * @param {Object} revision
+     * @param {Object} entry
+     * @returns {boolean}
+     */
+    const matchesEntry = (revision, entry) => {
+        return revision.content === entry.content &&
+            revision.type === entry.type &&
+            revision.tags.join(',') === entry.tags.join(',');
+    };
+
+    /**
+     * Show or hide the history of an entry below its card content
+     * @param {HTMLElement} card
+     * @param {Object} entry
+     * @param {Function} onRestored - Called with the entry after a version is restored
+     */
+    const toggle = async (card, entry, onRestored) => {
+        const open = card.querySelector('.entry-history');
+        if (open) {
+            open.remove();
+            return;
+        }
+
+        const panel = document.createElement('div');
+        panel.className = 'entry-history';
+        panel.innerHTML = '<p class="info-text">Loading history...</p>';
+        card.appendChild(panel);
+
+        let revisions = [];
+        try {
+            revisions = await DiaryStorage.getRevisions(entry.id);
+        } catch (error) {
+            console.error('Error loading history:', error);
+            panel.innerHTML = '<p class="info-text">Failed to load history</p>';
+            return;
+        }
+
+        if (revisions.length === 0) {
+            panel.innerHTML = '<p class="info-text">This entry hasn\'t been edited.</p>';
+            return;
+        }
+
+        // Newest first, each compared with the one before it
+        const latest = revisions[revisions.length - 1];
+        panel.innerHTML = `
+            <h4 class="history-title">History</h4>
+            ${revisions.map((revision, index) => createRevision(
+                revision,
+                index > 0 ? revisions[index - 1] : null,
+                revision === latest && matchesEntry(revision, entry)
+            )).reverse().join('')}
+        `;
+
+        panel.querySelectorAll('.restore-btn').forEach(btn => {
+            btn.addEventListener('click', () => restore(entry, btn.dataset.revision, onRestored));
+        });
+    };
+
+    /**
+     * Restore an entry to a revision
+     * @param {Object} entry
+     * @param {string} revisionId
+     * @param {Function} onRestored
+     */
+    const restore = async (entry, revisionId, onRestored) => {
+        try {
+            await DiaryStorage.restoreRevision(entry.id, revisionId);
+            const updated = await DiaryStorage.getEntry(entry.id);
+
+            if (onRestored && updated) {
+                onRestored(updated);
+            }
+
+            Components.showToast('Version restored', 'success');
+        } catch (error) {
+            console.error('Error restoring version:', error);
+            Components.showToast('Failed to restore version', 'error');
+        }
+    };
+
+    // Public API
+    return {
+        diffWords,
+        toggle
+    };
+})();
@@ -0,0 +1,122 @@
+/**
+ * Local Import Module
+ * After signing in, offers to upload entries written in local mode to the account
+ */
+
+const LocalImport = (() => {
+    let onImportedCallback = null;
+    let dismissed = false;
+
+    /**
+     * Initialize local import panel
+     * @param {Function} onImported - Callback after entries are uploaded
+     */
+    const init = (onImported) => {
+        onImportedCallback = onImported;
+
+        Auth.onAuthChange((event) => {
+            if (event === 'SIGNED_IN') {
+                dismissed = false;
+                render();
+            }
+        });
+    };
+
+    /**
+     * Render local-only entries waiting for a decision
+     */
+    const render = async () => {
+        const panel = document.getElementById('localImportPanel');
+        if (!panel) return;
+
+        const entries = dismissed ? [] : await DiaryStorage.getLocalOnlyEntries();
+
+        if (entries.length === 0) {
+            panel.innerHTML = '';
+            panel.classList.add('hidden');
+            return;
+        }
+
+        panel.innerHTML = `
+            <h2 class="section-title">Entries on This Device</h2>
+            <p class="info-text">
+                ${entries.length} ${entries.length === 1 ? 'entry was' : 'entries were'} written before you signed in.
+                Choose which ones to add to your account. Unchecked entries stay on this device only.
+            </p>
+            <label class="local-import-all">
+                <input type="checkbox" id="localImportAll" checked>
+                Select all
+            </label>
+            <div class="local-import-list">
+                ${entries.map(createRow).join('')}
+            </div>
+            <div class="conflict-actions">
+                <button class="conflict-btn" id="localImportUpload">Upload selected</button>
+                <button class="conflict-btn" id="localImportLater">Not now</button>
+            </div>
+        `;
+        panel.classList.remove('hidden');
+
+        const checkboxes = [...panel.querySelectorAll('.local-import-check')];
+        document.getElementById('localImportAll').addEventListener('change', (e) => {
+            checkboxes.forEach(checkbox => { checkbox.checked = e.target.checked; });
+        });
+        document.getElementById('localImportUpload').addEventListener('click', () => {
+            const selected = checkboxes.filter(checkbox => checkbox.checked).map(checkbox => checkbox.value);
+            const kept = checkboxes.filter(checkbox => !checkbox.checked).map(checkbox => checkbox.value);
+            upload(selected, kept);
+        });
+        document.getElementById('localImportLater').addEventListener('click', () => {
+            dismissed = true;
+            render();
+        });
+    };
+
+    /**
+     * Create HTML for one selectable entry
+     * @param {Object} entry
+     * @returns {string}
+     */
+    const createRow = (entry) => {
+        const date = new Date(entry.date);
+
+        return `
+            <label class="entry-card local-import-row">
+                <input type="checkbox" class="local-import-check" value="${entry.id}" checked>
+                <div>
+                    <div class="entry-type-label">${entry.type}</div>
+                    <div class="entry-content">${Components.escapeHtml(entry.content)}</div>
+                    <div class="entry-date">${Components.formatDate(date)}, ${Components.formatTime(date)}</div>
+                </div>
+            </label>
+        `;
+    };
+
+    /**
+     * Upload the chosen entries
+     * @param {Array<string>} selected - Entry IDs to upload
+     * @param {Array<string>} kept - Entry IDs to keep local only
+     */
+    const upload = async (selected, kept) => {
+        try {
+            const count = await DiaryStorage.uploadLocalEntries(selected, kept);
+            await render();
+
+            if (onImportedCallback) {
+                onImportedCallback();
+            }
+
+            Components.showToast(`Uploaded ${count} ${count === 1 ? 'entry' : 'entries'}`, 'success');
+        } catch (error) {
+            console.error('Error uploading local entries:', error);
+            Components.showToast('Failed to upload entries, try again later', 'error');
+            await render();
+        }
+    };
+
+    // Public API
+    return {
+        init,
+        render
+    };
+})();
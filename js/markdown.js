@@ -0,0 +1,268 @@
+/**
+ * Markdown Module
+ * Renders entry content written in a small Markdown subset, and adds
+ * a formatting toolbar and preview to the entry form
+ *
+ * Supported: # headings, - and 1. lists, - [ ] checklists, > quotes,
+ * **bold**, *italic*, ~~strikethrough~~, `code` and [links](https://...)
+ * Every character of the source is escaped before any markup is added, so
+ * the output only ever contains tags and attributes this module writes itself
+ */
+
+const Markdown = (() => {
+    const SAFE_URL = /^(https?:\/\/|mailto:)/i;
+    const LIST_ITEM = /^\s*([-*+]|\d+[.)])\s+(.*)$/;
+    const CHECK_ITEM = /^\[([ xX])\]\s+(.*)$/;
+
+    /**
+     * Escape text for use in HTML content and quoted attributes
+     * @param {string} text
+     * @returns {string}
+     */
+    const escape = (text) => text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+
+    /**
+     * Add emphasis markup to escaped text
+     * @param {string} html
+     * @returns {string}
+     */
+    const renderEmphasis = (html) => html
+        .replace(/\*\*(.+?)\*\*|__(.+?)__/g, (match, a, b) => `<strong>${a || b}</strong>`)
+        .replace(/\*([^*\s][^*]*?)\*/g, '<em>$1</em>')
+        .replace(/(^|[^\p{L}\p{N}_])_([^_\s][^_]*?)_(?![\p{L}\p{N}_])/gu, '$1<em>$2</em>')
+        .replace(/~~(.+?)~~/g, '<del>$1</del>');
+
+    /**
+     * Render inline formatting within one block
+     * @param {string} text - Raw source text
+     * @returns {string} HTML
+     */
+    const renderInline = (text) => {
+        // Code spans and links are set aside first so emphasis can't reach into them
+        const held = [];
+        const hold = (html) => {
+            held.push(html);
+            return `\u0000${held.length - 1}\u0000`;
+        };
+
+        // NUL only marks held fragments, the source can't contain one
+        const html = escape(text.replace(/\u0000/g, ''))
+            .replace(/`([^`]+)`/g, (match, code) => hold(`<code>${code}</code>`))
+            .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, url) => {
+                // url is already escaped; anything but web and mail links stays plain text
+                const href = url.replace(/&amp;/g, '&');
+                return SAFE_URL.test(href)
+                    ? hold(`<a href="${url}" target="_blank" rel="noopener noreferrer">${renderEmphasis(label)}</a>`)
+                    : label;
+            });
+
+        // Held fragments can contain earlier ones, e.g. a code span in a link label
+        const restore = (fragment) => fragment.replace(/\u0000(\d+)\u0000/g, (match, index) => restore(held[index]));
+        return restore(renderEmphasis(html));
+    };
+
+    /**
+     * Render a list from its item lines
+     * @param {Array<string>} items - Item text without the bullet
+     * @param {boolean} ordered
+     * @returns {string} HTML
+     */
+    const renderList = (items, ordered) => {
+        const checklist = !ordered && items.every(item => CHECK_ITEM.test(item));
+        const tag = ordered ? 'ol' : 'ul';
+
+        const html = items.map(item => {
+            const check = checklist ? item.match(CHECK_ITEM) : null;
+            if (check) {
+                const done = check[1] !== ' ';
+                return `<li${done ? ' class="md-done"' : ''}><input type="checkbox" disabled${done ? ' checked' : ''}> ${renderInline(check[2])}</li>`;
+            }
+            return `<li>${renderInline(item)}</li>`;
+        }).join('');
+
+        return `<${tag}${checklist ? ' class="md-checklist"' : ''}>${html}</${tag}>`;
+    };
+
+    /**
+     * Render Markdown source to HTML
+     * @param {string} source
+     * @returns {string} HTML, safe to assign to innerHTML
+     */
+    const render = (source) => {
+        const lines = String(source || '').replace(/\r\n?/g, '\n').split('\n');
+        const blocks = [];
+        let i = 0;
+
+        while (i < lines.length) {
+            const line = lines[i];
+
+            if (!line.trim()) {
+                i++;
+                continue;
+            }
+
+            const heading = line.match(/^(#{1,6})\s+(.*)$/);
+            if (heading) {
+                // Headings start at h3, below the card and section titles
+                const level = Math.min(heading[1].length + 2, 6);
+                blocks.push(`<h${level}>${renderInline(heading[2])}</h${level}>`);
+                i++;
+                continue;
+            }
+
+            if (/^>/.test(line)) {
+                const quoted = [];
+                while (i < lines.length && /^>/.test(lines[i])) {
+                    quoted.push(lines[i].replace(/^>\s?/, ''));
+                    i++;
+                }
+                blocks.push(`<blockquote>${render(quoted.join('\n'))}</blockquote>`);
+                continue;
+            }
+
+            const item = line.match(LIST_ITEM);
+            if (item) {
+                const ordered = /\d/.test(item[1]);
+                const items = [];
+                let next;
+                while (i < lines.length && (next = lines[i].match(LIST_ITEM)) && /\d/.test(next[1]) === ordered) {
+                    items.push(next[2]);
+                    i++;
+                }
+                blocks.push(renderList(items, ordered));
+                continue;
+            }
+
+            // Paragraph: runs until a blank line or another kind of block
+            const paragraph = [];
+            while (i < lines.length && lines[i].trim() &&
+                !/^(#{1,6}\s|>)/.test(lines[i]) && !LIST_ITEM.test(lines[i])) {
+                paragraph.push(renderInline(lines[i]));
+                i++;
+            }
+            blocks.push(`<p>${paragraph.join('<br>')}</p>`);
+        }
+
+        return blocks.join('');
+    };
+
+    /**
+     * Apply a toolbar action to a textarea's selection
+     * @param {HTMLTextAreaElement} textarea
+     * @param {string} format
+     */
+    const applyFormat = (textarea, format) => {
+        const { selectionStart: start, selectionEnd: end, value } = textarea;
+        const selected = value.slice(start, end);
+
+        const wrap = (before, after, placeholder) => {
+            const text = selected || placeholder;
+            textarea.setRangeText(`${before}${text}${after}`, start, end, 'end');
+            textarea.setSelectionRange(start + before.length, start + before.length + text.length);
+        };
+
+        // Prefix every line touched by the selection
+        const prefixLines = (prefix) => {
+            const lineStart = value.lastIndexOf('\n', start - 1) + 1;
+            const lineEnd = value.indexOf('\n', end);
+            const block = value.slice(lineStart, lineEnd === -1 ? value.length : lineEnd);
+            const prefixed = block.split('\n')
+                .map((line, index) => `${typeof prefix === 'function' ? prefix(index) : prefix}${line}`)
+                .join('\n');
+            textarea.setRangeText(prefixed, lineStart, lineStart + block.length, 'end');
+        };
+
+        switch (format) {
+            case 'bold': wrap('**', '**', 'bold text'); break;
+            case 'italic': wrap('*', '*', 'italic text'); break;
+            case 'heading': prefixLines('## '); break;
+            case 'list': prefixLines('- '); break;
+            case 'ordered': prefixLines(index => `${index + 1}. `); break;
+            case 'checklist': prefixLines('- [ ] '); break;
+            case 'quote': prefixLines('> '); break;
+            case 'link': {
+                const label = selected || 'link text';
+                const url = 'https://';
+                textarea.setRangeText(`[${label}](${url})`, start, end, 'end');
+                const urlStart = start + label.length + 3;
+                textarea.setSelectionRange(urlStart, urlStart + url.length);
+                break;
+            }
+        }
+
+        textarea.focus();
+        textarea.dispatchEvent(new Event('input', { bubbles: true }));
+    };
+
+    /**
+     * Wire up the formatting toolbar and preview toggle of the entry form
+     */
+    const initEditor = () => {
+        const toolbar = document.getElementById('markdownToolbar');
+        const textarea = document.getElementById('entryContent');
+        if (!toolbar || !textarea) return;
+
+        toolbar.querySelectorAll('[data-format]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                closePreview();
+                applyFormat(textarea, btn.dataset.format);
+            });
+        });
+
+        document.getElementById('previewToggleBtn')?.addEventListener('click', () => {
+            const preview = document.getElementById('entryPreview');
+            if (preview && preview.classList.contains('hidden')) {
+                openPreview();
+            } else {
+                closePreview();
+            }
+        });
+    };
+
+    /**
+     * Show the rendered entry in place of the textarea
+     */
+    const openPreview = () => {
+        const textarea = document.getElementById('entryContent');
+        const preview = document.getElementById('entryPreview');
+        if (!textarea || !preview) return;
+
+        preview.innerHTML = textarea.value.trim()
+            ? render(textarea.value)
+            : '<p class="info-text">Nothing to preview</p>';
+        preview.classList.remove('hidden');
+        textarea.classList.add('hidden');
+
+        const toggle = document.getElementById('previewToggleBtn');
+        if (toggle) {
+            toggle.textContent = 'Edit';
+            toggle.setAttribute('aria-pressed', 'true');
+        }
+    };
+
+    /**
+     * Go back to editing the source
+     */
+    const closePreview = () => {
+        document.getElementById('entryPreview')?.classList.add('hidden');
+        document.getElementById('entryContent')?.classList.remove('hidden');
+
+        const toggle = document.getElementById('previewToggleBtn');
+        if (toggle) {
+            toggle.textContent = 'Preview';
+            toggle.setAttribute('aria-pressed', 'false');
+        }
+    };
+
+    // Public API
+    return {
+        render,
+        initEditor,
+        closePreview
+    };
+})();
@@ -0,0 +1,128 @@
+/**
+ * Quick-Log Manager Module
+ * Settings list of the quick-log options of each type: reorder, rename,
+ * hide defaults and archive custom options
+ */
+
+const QuickLogManager = (() => {
+    let onChangeCallback = null;
+
+    /**
+     * Initialize the option manager
+     * @param {Function} onChange - Callback after a rename changes entries
+     */
+    const init = (onChange) => {
+        onChangeCallback = onChange;
+
+        document.getElementById('quickLogManagerType')?.addEventListener('change', render);
+        QuickLog.onChange(render);
+    };
+
+    /**
+     * Get the type being managed
+     * @returns {string}
+     */
+    const getType = () => document.getElementById('quickLogManagerType')?.value || 'habit';
+
+    /**
+     * Label for an option, with its unit
+     * @param {string} type
+     * @param {string} option
+     * @returns {string} HTML
+     */
+    const optionLabel = (type, option) => {
+        const { unit } = QuickLog.getOptionQuantity(type, option);
+        return `
+            <span class="quicklog-option-name">${Components.escapeHtml(option)}</span>
+            ${unit ? `<span class="quicklog-option-unit">${Components.escapeHtml(unit)}</span>` : ''}
+        `;
+    };
+
+    /**
+     * Render the options of the selected type
+     */
+    const render = () => {
+        const container = document.getElementById('quickLogManager');
+        if (!container) return;
+
+        const type = getType();
+        const shown = QuickLog.getOptions(type);
+        const hidden = QuickLog.getHiddenOptions(type);
+
+        // Buttons refer to options by position, names can contain any character
+        container.innerHTML = shown.map((option, index) => `
+            <div class="tag-row">
+                ${optionLabel(type, option)}
+                <button class="restore-btn quicklog-up-btn" data-index="${index}" aria-label="Move up"${index === 0 ? ' disabled' : ''}>↑</button>
+                <button class="restore-btn quicklog-down-btn" data-index="${index}" aria-label="Move down"${index === shown.length - 1 ? ' disabled' : ''}>↓</button>
+                <button class="restore-btn quicklog-rename-btn" data-index="${index}">Rename</button>
+                <button class="restore-btn quicklog-hide-btn" data-index="${index}">${QuickLog.isCustomOption(type, option) ? 'Archive' : 'Hide'}</button>
+            </div>
+        `).join('') + (hidden.length === 0 ? '' : `
+            <h4 class="quicklog-hidden-title">Hidden and archived</h4>
+            ${hidden.map((option, index) => `
+                <div class="tag-row quicklog-hidden">
+                    ${optionLabel(type, option)}
+                    <button class="restore-btn quicklog-show-btn" data-index="${index}">${QuickLog.isCustomOption(type, option) ? 'Restore' : 'Show'}</button>
+                    ${QuickLog.isCustomOption(type, option)
+                        ? `<button class="delete-btn quicklog-delete-btn" data-index="${index}" aria-label="Delete option">🗑️</button>`
+                        : ''}
+                </div>
+            `).join('')}
+        `);
+
+        const bind = (selector, list, handler) => {
+            container.querySelectorAll(selector).forEach(btn => {
+                btn.addEventListener('click', () => handler(list[btn.dataset.index]));
+            });
+        };
+
+        bind('.quicklog-up-btn', shown, option => QuickLog.moveOption(type, option, -1));
+        bind('.quicklog-down-btn', shown, option => QuickLog.moveOption(type, option, 1));
+        bind('.quicklog-rename-btn', shown, option => rename(type, option));
+        bind('.quicklog-hide-btn', shown, option => QuickLog.setHidden(type, option, true));
+        bind('.quicklog-show-btn', hidden, option => QuickLog.setHidden(type, option, false));
+        bind('.quicklog-delete-btn', hidden, option => {
+            if (confirm(`Delete "${option}"? Entries logged with it are kept.`)) {
+                QuickLog.removeCustomOption(type, option);
+                Components.showToast('Option deleted', 'success');
+            }
+        });
+    };
+
+    /**
+     * Rename an option, optionally changing past entries too
+     * @param {string} type
+     * @param {string} option
+     */
+    const rename = async (type, option) => {
+        const input = prompt(`Rename "${option}" to:`, option);
+        if (input === null || !input.trim() || input.trim() === option) return;
+
+        if (!QuickLog.canRenameTo(type, input)) {
+            Components.showToast(`"${input.trim()}" already exists`, 'error');
+            return;
+        }
+
+        const rewrite = confirm(`Also change past entries logged as "${option}" to "${input.trim()}"?`);
+
+        try {
+            const count = await QuickLog.renameOption(type, option, input, rewrite);
+            if (count > 0 && onChangeCallback) {
+                onChangeCallback();
+            }
+            Components.showToast(rewrite
+                ? `Renamed, updated ${count} ${count === 1 ? 'entry' : 'entries'}`
+                : 'Option renamed', 'success');
+        } catch (error) {
+            console.error('Error renaming option:', error);
+            Components.showToast(error.message, 'error');
+        }
+    };
+
+    // Public API
+    return {
+        init,
+        render
+    };
+})();
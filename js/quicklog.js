@@ -1,10 +1,17 @@
 /**
  * Quick-Log Module
  * Handles dropdown-based quick logging for Habit, Food, and Health entries
+ * Custom options sync to the quick_log_options table while signed in
  */
 
 const QuickLog = (() => {
-    const STORAGE_KEY = 'chronicle_quicklog_options';
+    // How far back, and how close in time of day, logs count when ranking the quick-log buttons
+    const RANK_DAYS = 60;
+    const TIME_OF_DAY_HOURS = 3;
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    // Where custom options were kept before they synced
+    const LEGACY_STORAGE_KEY = 'chronicle_quicklog_options';
 
     // Default options for each quick-log type
     const defaultOptions = {
@@ -42,72 +49,363 @@ const QuickLog = (() => {
         ]
     };
 
-    let customOptions = {
-        habit: [],
-        food: [],
-        health: []
+    // Units and default amounts of default options; options without one are logged without an amount
+    const defaultQuantities = {
+        habit: {
+            'Morning meditation': { unit: 'minutes', amount: 10 },
+            'Exercise': { unit: 'minutes', amount: 30 },
+            'Read for 30min': { unit: 'minutes', amount: 30 },
+            'Drink 8 glasses of water': { unit: 'glasses', amount: 8 }
+        },
+        food: {
+            'Breakfast': { unit: 'servings', amount: 1 },
+            'Lunch': { unit: 'servings', amount: 1 },
+            'Dinner': { unit: 'servings', amount: 1 },
+            'Snack': { unit: 'servings', amount: 1 },
+            'Healthy meal': { unit: 'servings', amount: 1 },
+            'Cheat meal': { unit: 'servings', amount: 1 },
+            'Ate out': { unit: 'servings', amount: 1 },
+            'Meal prep': { unit: 'servings', amount: 1 }
+        },
+        health: {
+            'Vitamins taken': { unit: 'tablets', amount: 1 }
+        }
     };
 
+    // Custom options: { id, type, name, unit, amount, updatedAt }, the quick_log_options table when signed in
+    // unit and amount are null for options logged without an amount
+    const customOptions = SyncedList.create({
+        storageKey: 'chronicle_quicklog_synced',
+        table: 'quick_log_options',
+        keyOf: option => `${option.type}\n${option.name}`,
+        onConflict: 'user_id,type,option_name',
+        toRow: (option, userId) => ({
+            id: option.id,
+            user_id: userId,
+            type: option.type,
+            option_name: option.name,
+            unit: option.unit || null,
+            default_amount: option.amount ?? null,
+            updated_at: new Date(option.updatedAt).toISOString()
+        }),
+        fromRow: row => ({
+            id: row.id,
+            type: row.type,
+            name: row.option_name,
+            unit: row.unit || null,
+            amount: row.default_amount === null || row.default_amount === undefined ? null : Number(row.default_amount),
+            // Rows from before updated_at was added only have created_at
+            updatedAt: new Date(row.updated_at || row.created_at).getTime()
+        })
+    });
+
+    // Per type: { id, type, order, hidden, pinned, updatedAt }, the quick_log_preferences table when signed in
+    // order: option names in the order the user put them, hidden: hidden defaults and archived custom options,
+    // pinned: favorites shown first among the quick-log buttons
+    const preferences = SyncedList.create({
+        storageKey: 'chronicle_quicklog_preferences',
+        table: 'quick_log_preferences',
+        keyOf: pref => pref.type,
+        onConflict: 'user_id,type',
+        toRow: (pref, userId) => ({
+            id: pref.id,
+            user_id: userId,
+            type: pref.type,
+            option_order: pref.order,
+            hidden: pref.hidden,
+            pinned: pref.pinned,
+            updated_at: new Date(pref.updatedAt).toISOString()
+        }),
+        fromRow: row => ({
+            id: row.id,
+            type: row.type,
+            order: row.option_order || [],
+            hidden: row.hidden || [],
+            pinned: row.pinned || [],
+            updatedAt: new Date(row.updated_at).getTime()
+        })
+    });
+
+    const renameListeners = [];
+
     /**
      * Initialize quick-log system
+     * Options saved by older versions of the app are carried over to the synced list
      */
     const init = () => {
-        loadCustomOptions();
+        customOptions.init(loadLegacyOptions())
+            .catch(error => console.error('Error loading custom options:', error));
+        localStorage.removeItem(LEGACY_STORAGE_KEY);
+        preferences.init()
+            .catch(error => console.error('Error loading quick-log preferences:', error));
     };
 
     /**
-     * Load custom options from localStorage
+     * Read custom options from the old localStorage format, { habit: [...], food: [...], health: [...] }
+     * @returns {Array} Items for the synced list
      */
-    const loadCustomOptions = () => {
+    const loadLegacyOptions = () => {
         try {
-            const stored = localStorage.getItem(STORAGE_KEY);
-            if (stored) {
-                customOptions = JSON.parse(stored);
-            }
+            const stored = JSON.parse(localStorage.getItem(LEGACY_STORAGE_KEY) || '{}');
+            return Object.entries(stored)
+                .filter(([type, names]) => defaultOptions[type] && Array.isArray(names))
+                .flatMap(([type, names]) => names.map(name => ({
+                    id: EntryModel.createId(),
+                    type,
+                    name,
+                    updatedAt: Date.now()
+                })));
         } catch (error) {
             console.error('Error loading custom options:', error);
+            return [];
         }
     };
 
     /**
-     * Save custom options to localStorage
+     * Register a callback for when the options or their order change, here or on another device
+     * @param {Function} listener
      */
-    const saveCustomOptions = () => {
-        try {
-            localStorage.setItem(STORAGE_KEY, JSON.stringify(customOptions));
-        } catch (error) {
-            console.error('Error saving custom options:', error);
-        }
+    const onChange = (listener) => {
+        customOptions.onChange(() => listener());
+        preferences.onChange(() => listener());
+    };
+
+    /**
+     * Register a callback for renamed options
+     * @param {Function} listener - Called with (type, option, newName)
+     */
+    const onRename = (listener) => {
+        renameListeners.push(listener);
+    };
+
+    /**
+     * Get the order and hidden options of a type
+     * @param {string} type
+     * @returns {Object} { id, type, order, hidden, pinned }, id null until something is changed
+     */
+    const getPreferences = (type) => {
+        const stored = preferences.getAll().find(pref => pref.type === type);
+        return { id: null, type, order: [], hidden: [], pinned: [], ...stored };
     };
 
     /**
-     * Get all options for a type (default + custom)
+     * Change the order or hidden options of a type
+     * @param {string} type
+     * @param {Object} changes - order and/or hidden
+     */
+    const savePreferences = (type, changes) => {
+        preferences.put({ ...getPreferences(type), ...changes });
+    };
+
+    /**
+     * Get all options for a type (default + custom), in the user's order
+     * Options the user never moved come after the ordered ones, alphabetically
      * @param {string} type - Entry type (habit, food, health)
+     * @param {Object} [options]
+     * @param {boolean} [options.includeHidden] - Also return hidden and archived options
      * @returns {Array<string>}
      */
-    const getOptions = (type) => {
+    const getOptions = (type, { includeHidden = false } = {}) => {
         if (!defaultOptions[type]) return [];
 
         const defaults = defaultOptions[type];
-        const custom = customOptions[type] || [];
+        const custom = getCustomOptions(type);
+        const { order, hidden } = getPreferences(type);
 
         // Combine and remove duplicates
-        return [...new Set([...defaults, ...custom])].sort();
+        const all = [...new Set([...defaults, ...custom])]
+            .filter(option => includeHidden || !hidden.includes(option));
+
+        const position = (option) => order.includes(option) ? order.indexOf(option) : Infinity;
+        return all.sort((a, b) => {
+            if (position(a) !== position(b)) return position(a) < position(b) ? -1 : 1;
+            return a < b ? -1 : a > b ? 1 : 0;
+        });
+    };
+
+    /**
+     * Get the hidden defaults and archived custom options of a type
+     * @param {string} type
+     * @returns {Array<string>}
+     */
+    const getHiddenOptions = (type) => {
+        const all = getOptions(type, { includeHidden: true });
+        return getPreferences(type).hidden.filter(option => all.includes(option)).sort();
+    };
+
+    /**
+     * Hide or show an option in the quick-log dropdown; for custom options this archives them
+     * @param {string} type
+     * @param {string} option
+     * @param {boolean} hidden
+     */
+    const setHidden = (type, option, hidden) => {
+        const current = getPreferences(type).hidden.filter(name => name !== option);
+        savePreferences(type, { hidden: hidden ? [...current, option] : current });
+    };
+
+    /**
+     * Check if an option is pinned to the front of the quick-log buttons
+     * @param {string} type
+     * @param {string} option
+     * @returns {boolean}
+     */
+    const isPinned = (type, option) => getPreferences(type).pinned.includes(option);
+
+    /**
+     * Pin or unpin an option; newly pinned options go after the ones pinned before
+     * @param {string} type
+     * @param {string} option
+     * @param {boolean} pinned
+     */
+    const setPinned = (type, option, pinned) => {
+        const current = getPreferences(type).pinned.filter(name => name !== option);
+        savePreferences(type, { pinned: pinned ? [...current, option] : current });
+    };
+
+    /**
+     * Rank the shown options of a type for the quick-log buttons
+     * Pinned options come first. The rest are ordered by how often they were logged
+     * in the last RANK_DAYS days, logs near the current time of day counting up to
+     * three times as much; ties keep the user's order.
+     * @param {string} type
+     * @param {Array} entries - Recent entries, of any type
+     * @param {Date} [now]
+     * @returns {Array<string>}
+     */
+    const rankOptions = (type, entries, now = new Date()) => {
+        const options = getOptions(type);
+        const pinned = getPreferences(type).pinned.filter(option => options.includes(option));
+        const since = now.getTime() - RANK_DAYS * DAY_MS;
+        const hourOf = (date) => date.getHours() + date.getMinutes() / 60;
+
+        const scores = new Map(options.map(option => [option, 0]));
+        entries.forEach(entry => {
+            if (entry.type !== type || !scores.has(entry.content) ||
+                entry.timestamp < since || entry.timestamp > now.getTime()) return;
+
+            const apart = Math.abs(hourOf(new Date(entry.timestamp)) - hourOf(now));
+            const closeness = Math.max(0, 1 - Math.min(apart, 24 - apart) / TIME_OF_DAY_HOURS);
+            scores.set(entry.content, scores.get(entry.content) + 1 + 2 * closeness);
+        });
+
+        const rest = options
+            .filter(option => !pinned.includes(option))
+            .sort((a, b) => scores.get(b) - scores.get(a));
+        return [...pinned, ...rest];
+    };
+
+    /**
+     * Move an option up or down among the shown options
+     * @param {string} type
+     * @param {string} option
+     * @param {number} offset - -1 for up, 1 for down
+     * @returns {boolean} False if it can't move that way
+     */
+    const moveOption = (type, option, offset) => {
+        const options = getOptions(type);
+        const from = options.indexOf(option);
+        const to = from + offset;
+        if (from === -1 || to < 0 || to >= options.length) return false;
+
+        [options[from], options[to]] = [options[to], options[from]];
+        savePreferences(type, { order: options });
+        return true;
+    };
+
+    /**
+     * Check if an option can take a name
+     * A hidden default is free, renaming onto it brings it back (e.g. a renamed default renamed back)
+     * @param {string} type
+     * @param {string} name
+     * @returns {boolean}
+     */
+    const canRenameTo = (type, name) => {
+        const trimmed = (name || '').trim();
+        return !getOptions(type, { includeHidden: true }).includes(trimmed) ||
+            (!isCustomOption(type, trimmed) && getPreferences(type).hidden.includes(trimmed));
+    };
+
+    /**
+     * Rename an option, keeping its place, unit and default amount
+     * A renamed default is hidden and replaced by a custom option with the new name;
+     * renaming onto a hidden default shows that default again in the option's place
+     * @param {string} type
+     * @param {string} option
+     * @param {string} newName
+     * @param {boolean} [rewriteEntries] - Also change the content of entries logged with the old name
+     * @returns {Promise<number>} Number of entries changed
+     * @throws {Error} If the new name is empty or already taken
+     */
+    const renameOption = async (type, option, newName, rewriteEntries = false) => {
+        const name = (newName || '').trim();
+        if (!name) {
+            throw new Error('Option name can\'t be empty');
+        }
+        if (name === option) return 0;
+        if (!canRenameTo(type, name)) {
+            throw new Error(`"${name}" already exists`);
+        }
+
+        const { unit, amount } = getOptionQuantity(type, option);
+        const { order, hidden, pinned } = getPreferences(type);
+        const custom = isCustomOption(type, option);
+        const restoresDefault = !isCustomOption(type, name);
+
+        // The name is part of the option's key, so a renamed option is a new one
+        if (custom) {
+            const stored = customOptions.getAll().find(item => item.type === type && item.name === option);
+            customOptions.remove(stored.id);
+        }
+        if (!restoresDefault) {
+            customOptions.put({ type, name, unit, amount });
+        }
+
+        // The new name takes the option's place, wherever it was before
+        const rename = (list) => list.filter(entry => entry !== name).map(entry => entry === option ? name : entry);
+        savePreferences(type, {
+            order: rename(order),
+            pinned: rename(pinned),
+            hidden: [...hidden.filter(entry => entry !== option && entry !== name), ...(custom ? [] : [option])]
+        });
+
+        const count = rewriteEntries ? await DiaryStorage.rewriteContent(type, option, name) : 0;
+        renameListeners.forEach(listener => listener(type, option, name));
+        return count;
+    };
+
+    /**
+     * Get the unit and default amount of an option
+     * @param {string} type - Entry type
+     * @param {string} option
+     * @returns {Object} { unit, amount }, both null if the option is logged without an amount
+     */
+    const getOptionQuantity = (type, option) => {
+        const custom = customOptions.getAll().find(item => item.type === type && item.name === option);
+        const quantity = custom || (defaultQuantities[type] || {})[option];
+        return quantity && quantity.unit
+            ? { unit: quantity.unit, amount: quantity.amount ?? null }
+            : { unit: null, amount: null };
     };
 
     /**
      * Add custom option
      * @param {string} type - Entry type
      * @param {string} option - New option to add
+     * @param {string} [unit] - Unit the option is logged in, e.g. glasses or mg
+     * @param {number|null} [amount] - Amount offered when logging it
      * @returns {boolean} Success
      */
-    const addCustomOption = (type, option) => {
+    const addCustomOption = (type, option, unit = '', amount = null) => {
         if (!option || !option.trim()) return false;
 
         const trimmedOption = option.trim();
+        if (!defaultOptions[type]) return false;
 
-        if (!customOptions[type]) {
-            customOptions[type] = [];
+        // Adding a hidden option shows it again
+        if (getHiddenOptions(type).includes(trimmedOption)) {
+            setHidden(type, trimmedOption, false);
+            return true;
         }
 
         // Check if already exists (in default or custom)
@@ -116,8 +414,13 @@ const QuickLog = (() => {
             return false; // Already exists
         }
 
-        customOptions[type].push(trimmedOption);
-        saveCustomOptions();
+        const trimmedUnit = (unit || '').trim();
+        customOptions.put({
+            type,
+            name: trimmedOption,
+            unit: trimmedUnit || null,
+            amount: trimmedUnit && Number.isFinite(amount) ? amount : null
+        });
         return true;
     };
 
@@ -128,39 +431,75 @@ const QuickLog = (() => {
      * @returns {boolean} Success
      */
     const removeCustomOption = (type, option) => {
-        if (!customOptions[type]) return false;
+        const stored = customOptions.getAll().find(item => item.type === type && item.name === option);
+        if (!stored) return false;
 
-        const index = customOptions[type].indexOf(option);
-        if (index === -1) return false;
-
-        customOptions[type].splice(index, 1);
-        saveCustomOptions();
-        return true;
+        const { order, hidden, pinned } = getPreferences(type);
+        if ([order, hidden, pinned].some(list => list.includes(option))) {
+            savePreferences(type, {
+                order: order.filter(entry => entry !== option),
+                hidden: hidden.filter(entry => entry !== option),
+                pinned: pinned.filter(entry => entry !== option)
+            });
+        }
+        return customOptions.remove(stored.id);
     };
 
     /**
      * Create entry from quick-log selection
      * @param {string} type - Entry type
      * @param {string} option - Selected option
+     * @param {Date|null} [date] - When it happened, defaults to now
+     * @param {Object} [customFields] - Structured field values, see EntryModel.getFields()
+     * @param {Object|null} [quantity] - { amount, unit } logged with it
      * @returns {Promise<string>} Entry ID
      */
-    const createQuickLogEntry = async (type, option) => {
+    const createQuickLogEntry = async (type, option, date = null, customFields = {}, quantity = null) => {
         const entryData = {
             type: type,
             content: option,
-            tags: ['quick-log']
+            tags: ['quick-log'],
+            customFields: quantity ? { ...customFields, [EntryModel.QUANTITY_KEY]: quantity } : customFields
         };
+        if (date) {
+            entryData.date = date.toISOString();
+        }
 
         return await DiaryStorage.createEntry(entryData);
     };
 
+    /**
+     * Add up the amounts logged per day, option and unit
+     * @param {Array} entries
+     * @returns {Array} { day, type, option, unit, total }, day as YYYY-MM-DD in local time
+     */
+    const getDailyTotals = (entries) => {
+        const totals = new Map();
+
+        entries.forEach(entry => {
+            const quantity = EntryModel.getQuantity(entry);
+            if (!quantity) return;
+
+            const day = Components.toDayKey(new Date(entry.date));
+            const key = [day, entry.type, entry.content, quantity.unit].join('\n');
+            if (!totals.has(key)) {
+                totals.set(key, { day, type: entry.type, option: entry.content, unit: quantity.unit, total: 0 });
+            }
+            totals.get(key).total += quantity.amount;
+        });
+
+        return [...totals.values()].sort((a, b) => a.day.localeCompare(b.day) || a.option.localeCompare(b.option));
+    };
+
     /**
      * Get custom options for a type
      * @param {string} type - Entry type
      * @returns {Array<string>}
      */
     const getCustomOptions = (type) => {
-        return customOptions[type] || [];
+        return customOptions.getAll()
+            .filter(item => item.type === type)
+            .map(item => item.name);
     };
 
     /**
@@ -170,16 +509,29 @@ const QuickLog = (() => {
      * @returns {boolean}
      */
     const isCustomOption = (type, option) => {
-        return !defaultOptions[type].includes(option);
+        return !(defaultOptions[type] || []).includes(option);
     };
 
     // Public API
     return {
+        RANK_DAYS,
         init,
+        onChange,
+        onRename,
         getOptions,
+        getHiddenOptions,
+        getOptionQuantity,
         addCustomOption,
         removeCustomOption,
+        setHidden,
+        isPinned,
+        setPinned,
+        rankOptions,
+        moveOption,
+        canRenameTo,
+        renameOption,
         createQuickLogEntry,
+        getDailyTotals,
         getCustomOptions,
         isCustomOption
     };
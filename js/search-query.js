@@ -0,0 +1,116 @@
+/**
+ * Search Query
+ * Parses search input and matches entries against it
+ * Shared by the storage adapters and the search box
+ *
+ * Syntax: bare words match the start of words in the content,
+ * "quoted text" matches a phrase, tag:name and type:name filter
+ */
+
+/**
+ * Parsed search
+ * @typedef {Object} ParsedQuery
+ * @property {Array<string>} terms - Lowercase word prefixes, all must match
+ * @property {Array<Array<string>>} phrases - Token lists that must appear in a row
+ * @property {Array<string>} tags - Normalized tags, all must be present
+ * @property {Array<string>} types - Entry types, any may match
+ */
+
+const SearchQuery = (() => {
+    const TOKEN_PATTERN = /[\p{L}\p{N}]+/gu;
+    const PART_PATTERN = /(tag|type):(?:"([^"]*)"|(\S+))|"([^"]*)"|(\S+)/gi;
+
+    /**
+     * Split text into lowercase word tokens
+     * @param {string} text
+     * @returns {Array<string>}
+     */
+    const tokenize = (text) => (String(text || '').toLowerCase().match(TOKEN_PATTERN) || []);
+
+    /**
+     * Parse search input
+     * @param {string} input
+     * @returns {ParsedQuery}
+     */
+    const parse = (input) => {
+        const query = { terms: [], phrases: [], tags: [], types: [] };
+
+        for (const [, qualifier, quotedValue, value, phrase, word] of String(input || '').matchAll(PART_PATTERN)) {
+            if (qualifier) {
+                const target = (quotedValue ?? value).trim();
+                if (!target) continue;
+
+                if (qualifier.toLowerCase() === 'tag') {
+                    query.tags.push(EntryModel.normalizeTag(target));
+                } else if (EntryModel.TYPES.includes(target.toLowerCase())) {
+                    query.types.push(target.toLowerCase());
+                }
+            } else if (phrase !== undefined) {
+                const tokens = tokenize(phrase);
+                if (tokens.length > 1) {
+                    query.phrases.push(tokens);
+                } else {
+                    query.terms.push(...tokens);
+                }
+            } else {
+                query.terms.push(...tokenize(word));
+            }
+        }
+
+        return query;
+    };
+
+    /**
+     * Check if a parsed query has anything to search for
+     * @param {ParsedQuery} query
+     * @returns {boolean}
+     */
+    const isEmpty = (query) => {
+        return query.terms.length === 0 && query.phrases.length === 0 &&
+            query.tags.length === 0 && query.types.length === 0;
+    };
+
+    /**
+     * Tokens worth looking up in an inverted index
+     * @param {ParsedQuery} query
+     * @returns {Array<string>}
+     */
+    const indexTerms = (query) => [...new Set([...query.terms, ...query.phrases.flat()])];
+
+    /**
+     * Distinct tokens to index for an entry, none once it's in the trash
+     * @param {Object} entry
+     * @returns {Array<string>}
+     */
+    const entryTokens = (entry) => EntryModel.isTrashed(entry) ? [] : [...new Set(tokenize(entry.content))];
+
+    /**
+     * Check if an entry matches a parsed query
+     * Trashed entries never match
+     * @param {Object} entry
+     * @param {ParsedQuery} query
+     * @returns {boolean}
+     */
+    const matches = (entry, query) => {
+        if (EntryModel.isTrashed(entry)) return false;
+        if (query.types.length > 0 && !query.types.includes(entry.type)) return false;
+
+        if (!query.tags.every(tag => entry.tags.includes(tag))) return false;
+
+        const tokens = tokenize(entry.content);
+        if (!query.terms.every(term => tokens.some(token => token.startsWith(term)))) return false;
+
+        const text = ` ${tokens.join(' ')} `;
+        return query.phrases.every(phrase => text.includes(` ${phrase.join(' ')} `));
+    };
+
+    // Public API
+    return {
+        tokenize,
+        parse,
+        isEmpty,
+        indexTerms,
+        entryTokens,
+        matches
+    };
+})();
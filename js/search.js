@@ -0,0 +1,143 @@
+/**
+ * Search Module
+ * Search box on the entries view, showing matches with the search terms highlighted
+ */
+
+const EntrySearch = (() => {
+    const DEBOUNCE_MS = 250;
+
+    let debounceTimer = null;
+    let currentInput = '';
+    let results = [];
+    let searchCount = 0;
+
+    /**
+     * Initialize search box
+     */
+    const init = () => {
+        const input = document.getElementById('searchInput');
+        if (!input) return;
+
+        input.addEventListener('input', () => {
+            clearTimeout(debounceTimer);
+            debounceTimer = setTimeout(() => search(input.value), DEBOUNCE_MS);
+        });
+
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                input.value = '';
+                clearTimeout(debounceTimer);
+                search('');
+            }
+        });
+    };
+
+    /**
+     * Run a search and show its results in place of the entries list
+     * @param {string} input
+     */
+    const search = async (input) => {
+        currentInput = input.trim();
+        const count = ++searchCount;
+
+        if (!currentInput) {
+            showResults(false);
+            return;
+        }
+
+        try {
+            const found = await DiaryStorage.searchEntries(currentInput);
+
+            // A newer search started while this one ran
+            if (count !== searchCount) return;
+
+            results = found.entries;
+            render(found.query);
+        } catch (error) {
+            console.error('Error searching entries:', error);
+            Components.showToast('Search failed', 'error');
+        }
+    };
+
+    /**
+     * Run the current search again, after entries change
+     */
+    const refresh = () => {
+        if (currentInput) {
+            search(currentInput);
+        }
+    };
+
+    /**
+     * Toggle between search results and the entries list
+     * @param {boolean} visible
+     */
+    const showResults = (visible) => {
+        document.getElementById('searchResults')?.classList.toggle('hidden', !visible);
+        document.getElementById('entriesList')?.classList.toggle('hidden', visible);
+    };
+
+    /**
+     * Render search results
+     * @param {ParsedQuery} query
+     */
+    const render = (query) => {
+        const container = document.getElementById('searchResultsContainer');
+        const summary = document.getElementById('searchSummary');
+        if (!container) return;
+
+        if (SearchQuery.isEmpty(query)) {
+            if (summary) summary.textContent = 'Search';
+            container.innerHTML = `
+                <div class="empty-state">
+                    <p>Type words, "a phrase", tag:name or type:${EntryModel.TYPES[0]} to search.</p>
+                </div>
+            `;
+        } else if (results.length === 0) {
+            if (summary) summary.textContent = 'No Matches';
+            container.innerHTML = `
+                <div class="empty-state">
+                    <p>No entries match your search.</p>
+                </div>
+            `;
+        } else {
+            if (summary) summary.textContent = `${results.length} ${results.length === 1 ? 'Match' : 'Matches'}`;
+            container.innerHTML = results.map(entry => EntriesManager.createEntryCard(entry, { highlight: query })).join('');
+            EntriesManager.bindCardActions(container, results);
+        }
+
+        showResults(true);
+    };
+
+    /**
+     * Create HTML for text with the query's terms and phrases marked
+     * @param {string} text
+     * @param {ParsedQuery} query
+     * @returns {string}
+     */
+    const highlight = (text, query) => {
+        // Tokens are letters and digits only, so they need no escaping; phrases come first to win overlaps
+        const patterns = [
+            ...query.phrases.map(phrase => phrase.join('[^\\p{L}\\p{N}]+')),
+            ...query.terms.map(term => `${term}[\\p{L}\\p{N}]*`)
+        ];
+        if (patterns.length === 0) return Components.escapeHtml(text);
+
+        const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(?:${patterns.join('|')})`, 'giu');
+        let html = '';
+        let last = 0;
+        for (const match of text.matchAll(pattern)) {
+            html += Components.escapeHtml(text.slice(last, match.index));
+            html += `<mark class="search-match">${Components.escapeHtml(match[0])}</mark>`;
+            last = match.index + match[0].length;
+        }
+        return html + Components.escapeHtml(text.slice(last));
+    };
+
+    // Public API
+    return {
+        init,
+        refresh,
+        highlight
+    };
+})();
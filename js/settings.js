@@ -6,7 +6,9 @@
 const Settings = (() => {
     const SETTINGS_KEY = 'chronicle_settings';
     const defaultSettings = {
-        darkMode: true
+        darkMode: true,
+        conflictPolicy: 'manual',
+        trashRetentionDays: 30
     };
 
     let settings = { ...defaultSettings };
@@ -53,6 +55,24 @@ const Settings = (() => {
         if (darkModeToggle) {
             darkModeToggle.checked = settings.darkMode;
         }
+
+        const conflictPolicySelect = document.getElementById('conflictPolicySelect');
+        if (conflictPolicySelect) {
+            conflictPolicySelect.value = settings.conflictPolicy;
+        }
+        DiaryStorage.setConflictPolicy(settings.conflictPolicy);
+
+        const trashRetentionSelect = document.getElementById('trashRetentionSelect');
+        if (trashRetentionSelect) {
+            trashRetentionSelect.value = String(settings.trashRetentionDays);
+        }
+
+        const trashRetentionText = document.getElementById('trashRetentionText');
+        if (trashRetentionText) {
+            trashRetentionText.textContent = settings.trashRetentionDays
+                ? `Deleted entries can be restored for ${settings.trashRetentionDays} days.`
+                : 'Deleted entries can be restored until you empty the trash.';
+        }
     };
 
     /**
@@ -67,9 +87,28 @@ const Settings = (() => {
             Components.showToast('Settings updated', 'success');
         });
 
+        // Conflict policy
+        const conflictPolicySelect = document.getElementById('conflictPolicySelect');
+        conflictPolicySelect?.addEventListener('change', (e) => {
+            settings.conflictPolicy = e.target.value;
+            saveSettings();
+            applySettings();
+            Components.showToast('Settings updated', 'success');
+        });
+
+        // Trash retention
+        const trashRetentionSelect = document.getElementById('trashRetentionSelect');
+        trashRetentionSelect?.addEventListener('change', (e) => {
+            settings.trashRetentionDays = Number(e.target.value);
+            saveSettings();
+            applySettings();
+            Components.showToast('Settings updated', 'success');
+        });
+
         // Export data
         const exportBtn = document.getElementById('exportBtn');
         exportBtn?.addEventListener('click', exportData);
+        document.getElementById('exportCsvBtn')?.addEventListener('click', exportCsv);
 
         // Import data
         const importBtn = document.getElementById('importBtn');
@@ -95,9 +134,10 @@ const Settings = (() => {
         try {
             const entries = await DiaryStorage.getAllEntries();
             const exportData = {
-                version: 1,
+                version: 2,
                 timestamp: new Date().toISOString(),
                 entries,
+                attachments: await EntryAttachments.exportFor(entries),
                 settings
             };
 
@@ -110,25 +150,131 @@ const Settings = (() => {
         }
     };
 
+    /**
+     * Export entries as a spreadsheet, one column per structured field
+     */
+    const exportCsv = async () => {
+        try {
+            const entries = await DiaryStorage.getAllEntries();
+            const fields = EntryModel.TYPES.flatMap(EntryModel.getFields);
+
+            const rows = [
+                ['date', 'type', 'content', 'tags', 'amount', 'unit', ...fields.map(field => field.key)],
+                ...entries.map(entry => {
+                    const quantity = EntryModel.getQuantity(entry);
+                    return [
+                        entry.date,
+                        entry.type,
+                        entry.content,
+                        entry.tags.join(', '),
+                        quantity ? quantity.amount : '',
+                        quantity ? quantity.unit : '',
+                        ...fields.map(field => {
+                            const found = EntryModel.getFieldValues(entry).find(item => item.field === field);
+                            return found ? found.value : '';
+                        })
+                    ];
+                })
+            ];
+
+            const filename = `chronicle_entries_${new Date().toISOString().split('T')[0]}.csv`;
+            Components.exportCSV(rows, filename);
+            Components.showToast('Data exported successfully', 'success');
+        } catch (error) {
+            console.error('Error exporting CSV:', error);
+            Components.showToast('Failed to export data', 'error');
+        }
+    };
+
+    /**
+     * Check an import file before anything is written
+     * @param {Object} data - Parsed export
+     * @returns {Array<string>} Problems found, each naming the entry or setting
+     */
+    const findImportProblems = (data) => {
+        if (!data || !Array.isArray(data.entries)) {
+            return ['the file is not a Chronicle export'];
+        }
+
+        const problems = [];
+        data.entries.forEach((entry, index) => {
+            try {
+                // Entries without a UUID get a new one on import
+                EntryModel.validate(entry && typeof entry === 'object' ? { ...entry, id: undefined } : entry);
+            } catch (error) {
+                problems.push(`entry ${index + 1}: ${error.message.replace(/^Invalid entry: /, '')}`);
+            }
+        });
+
+        // Version 1 exports have no attachments
+        if (data.attachments !== undefined && !Array.isArray(data.attachments)) {
+            problems.push('attachments must be a list');
+        } else if (data.attachments) {
+            const entryIds = new Set(data.entries.map(entry => entry && entry.id));
+            data.attachments.forEach((attachment, index) => {
+                try {
+                    EntryAttachments.validateExported(attachment);
+                    if (!entryIds.has(attachment.entryId)) {
+                        throw new Error('its entry is not in the file');
+                    }
+                } catch (error) {
+                    problems.push(`attachment ${index + 1}: ${error.message}`);
+                }
+            });
+        }
+
+        const imported = data.settings || {};
+        if (imported.conflictPolicy !== undefined && !DiaryStorage.CONFLICT_POLICIES.includes(imported.conflictPolicy)) {
+            problems.push(`settings: unknown conflict policy "${imported.conflictPolicy}"`);
+        }
+        if (imported.trashRetentionDays !== undefined &&
+            !(Number.isInteger(imported.trashRetentionDays) && imported.trashRetentionDays >= 0)) {
+            problems.push('settings: trash retention must be a whole number of days');
+        }
+        if (imported.darkMode !== undefined && typeof imported.darkMode !== 'boolean') {
+            problems.push('settings: dark mode must be true or false');
+        }
+
+        return problems;
+    };
+
     /**
      * Import data
+     * Nothing is written unless every entry and setting in the file is valid
      * @param {File} file
      */
     const importData = async (file) => {
         try {
             const data = await Components.importJSON(file);
 
-            if (!data.entries || !Array.isArray(data.entries)) {
-                throw new Error('Invalid data format');
+            const problems = findImportProblems(data);
+            if (problems.length > 0) {
+                console.error('Import file has problems:', problems);
+                const more = problems.length > 1 ? ` (and ${problems.length - 1} more)` : '';
+                Components.showToast(`Nothing imported, ${problems[0]}${more}`, 'error', 8000);
+                return;
             }
 
             // Confirm before overwriting
             const confirmMsg = `This will import ${data.entries.length} entries. Continue?`;
             if (!confirm(confirmMsg)) return;
 
-            // Import entries
+            // Import entries, noting the ID of each new one so attachments follow it;
+            // entries already here are skipped along with their attachments
+            const entryIds = new Map();
+            let skipped = 0;
             for (const entry of data.entries) {
-                await DiaryStorage.createEntry(entry);
+                const { id, created } = await DiaryStorage.importEntry(entry);
+                if (created) {
+                    entryIds.set(entry.id, id);
+                } else {
+                    skipped++;
+                }
+            }
+
+            // Version 1 exports have no attachments
+            if (Array.isArray(data.attachments)) {
+                await EntryAttachments.importAll(data.attachments, entryIds);
             }
 
             // Import settings if available
@@ -138,7 +284,9 @@ const Settings = (() => {
                 applySettings();
             }
 
-            Components.showToast('Data imported successfully', 'success');
+            Components.showToast(skipped > 0
+                ? `Data imported, skipped ${skipped} ${skipped === 1 ? 'entry' : 'entries'} already here`
+                : 'Data imported successfully', 'success');
 
             // Reload app
             setTimeout(() => {
@@ -1,474 +1,1484 @@
 /**
  * Storage Module - Hybrid Supabase + IndexedDB Data Layer
  * Handles all data persistence for diary entries
- * Uses Supabase when configured, falls back to IndexedDB for local-only mode
+ * Routes every operation through registered storage adapters:
+ * the remote adapter (Supabase) when it is ready, the local adapter (IndexedDB) otherwise
  */
 
-const DiaryStorage = (() => {
-    const DB_NAME = 'ChronicleDB';
-    const DB_VERSION = 2; // Incremented to trigger upgrade and create object stores
-    const STORE_NAME = 'entries';
+/**
+ * Storage adapter contract
+ * @typedef {Object} StorageAdapter
+ * @property {string} name - Registry key
+ * @property {Function} init - (options) => Promise, open connections or stores; local adapters may report
+ *     migration progress through options.onProgress
+ * @property {Function} isReady - () => boolean, false when the adapter can't serve requests (e.g. signed out)
+ * @property {Function} create - (entryData) => Promise<string>, entryData.date defaults to now and
+ *     entryData.id to a new EntryModel.createId()
+ * @property {Function} getAll - () => Promise<Array>, newest first
+ *     getAll, getPage, getByDateRange, getByType, getByTag and getTags leave out entries in the trash
+ * @property {Function} getPage - (cursor, limit, filters) => Promise<{ entries, hasMore }>, newest first;
+ *     cursor is null for the first page, or { timestamp, ids } to continue at or before timestamp, skipping ids;
+ *     filters is an EntryFilters, applied in the query rather than after it
+ * @property {Function} get - (id) => Promise<Object|null|undefined>
+ * @property {Function} getByDateRange - (startDate, endDate) => Promise<Array>, newest first
+ * @property {Function} getByType - (type) => Promise<Array>, newest first
+ * @property {Function} getByTag - (tag) => Promise<Array>, newest first, tag already normalized
+ * @property {Function} getTags - () => Promise<Array<{ tag, count }>>, most used first
+ * @property {Function} search - (query, limit) => Promise<Array>, entries outside the trash matching a
+ *     SearchQuery.parse() result, newest first
+ * @property {Function} getTrash - () => Promise<Array>, trashed entries, most recently deleted first
+ * @property {Function} update - (id, updates, expectedVersion) => Promise<Object|null>, null if the version didn't match
+ * @property {Function} remove - (id, expectedVersion) => Promise<boolean>, false if the version didn't match
+ * @property {Function} clear - () => Promise
+ *
+ * Local adapters also keep the sync bookkeeping and attachment files in auxiliary record stores
+ * (outbox, conflicts, uploads, revisions, attachments):
+ * @property {Function} [putRecord] - (storeName, record) => Promise<number> record key
+ * @property {Function} [getRecords] - (storeName) => Promise<Array> in key order
+ * @property {Function} [deleteRecord] - (storeName, key) => Promise
+ *
+ * Remote adapters may push changes made by other sessions:
+ * @property {Function} [subscribe] - (onChange) => unsubscribe function; onChange receives
+ *     { type: 'insert'|'update'|'delete', id, entry }
+ *
+ * and keep entry revisions:
+ * @property {Function} [addRevision] - (revision) => Promise
+ * @property {Function} [getRevisions] - (entryId) => Promise<Array>, oldest first
+ *
+ * and store attachment files; remove and clear then also delete the files of the entries they delete:
+ * @property {Function} [addAttachment] - (attachment, blob) => Promise
+ * @property {Function} [getAttachments] - (entryIds) => Promise<Array>, each with a url to show it
+ * @property {Function} [getAttachmentBlob] - (attachment) => Promise<Blob>
+ * @property {Function} [removeAttachment] - (attachment) => Promise
+ */
 
-    let db = null;
-    let useSupabase = false;
+const DiaryStorage = (() => {
+    const OUTBOX_STORE = 'outbox';
+    const CONFLICTS_STORE = 'conflicts';
+    const FAILED_STORE = 'failedChanges';
+    const UPLOADS_STORE = 'uploads';
+    const REVISIONS_STORE = 'revisions';
+    const ATTACHMENTS_STORE = 'attachments';
+    const ATTACHMENT_KINDS = ['image', 'audio'];
+    const MAX_ATTACHMENT_SIZE = 10 * 1024 * 1024;
+    const CONFLICT_POLICIES = ['manual', 'last-writer-wins', 'keep-both'];
+    const PAGE_SIZE = 50;
+    const SEARCH_LIMIT = 100;
+
+    // Fields whose changes are kept as revisions
+    const REVISION_FIELDS = ['type', 'content', 'tags'];
+
+    const ADAPTER_METHODS = ['init', 'isReady', 'create', 'getAll', 'getPage', 'get', 'getByDateRange', 'getByType', 'getByTag', 'getTags', 'search', 'getTrash', 'update', 'remove', 'clear'];
+    const LOCAL_ADAPTER_METHODS = ['putRecord', 'getRecords', 'deleteRecord'];
 
     /**
-     * Initialize storage (IndexedDB + Supabase)
-     * @returns {Promise<IDBDatabase|null>}
+     * What to do when the remote adapter fails, per operation
+     *   'local' - answer from the local adapter instead
+     *   'queue' - record the change in the outbox and replay it later; errors the server
+     *             would give again (a rejected row, a taken ID) are thrown instead
+     *   'throw' - surface the error to the caller
      */
-    const init = async () => {
-        // Check if Supabase is configured
-        useSupabase = isSupabaseConfigured();
+    const FALLBACK_POLICY = {
+        create: 'queue',
+        getAll: 'local',
+        getPage: 'local',
+        get: 'local',
+        getByDateRange: 'local',
+        getByType: 'local',
+        getByTag: 'local',
+        getTags: 'local',
+        search: 'local',
+        getTrash: 'local',
+        update: 'queue',
+        remove: 'queue',
+        clear: 'throw'
+    };
 
-        // ALWAYS initialize IndexedDB as a fallback, even if Supabase is configured
-        // This allows local storage when user is not authenticated
-        console.log(useSupabase ? '✓ Using Supabase for storage (with local fallback)' : 'Using IndexedDB for local storage');
-        return initIndexedDB();
+    const adapters = new Map();
+    let local = null;
+    let remote = null;
+    let flushPromise = null;
+    let stopRealtime = null;
+    let conflictPolicy = 'manual';
+    const syncListeners = [];
+    const conflictListeners = [];
+    const failureListeners = [];
+    const changeListeners = [];
+
+    // Last version seen from the remote adapter for each entry, used to detect edits from other devices
+    const knownEntries = new Map();
+
+    /**
+     * Register a storage adapter
+     * @param {StorageAdapter} adapter
+     */
+    const registerAdapter = (adapter) => {
+        const missing = ADAPTER_METHODS.filter(method => typeof adapter[method] !== 'function');
+        if (!adapter.name || missing.length > 0) {
+            throw new Error(`Storage adapter "${adapter.name}" is missing: ${missing.join(', ')}`);
+        }
+        adapters.set(adapter.name, adapter);
     };
 
     /**
-     * Initialize IndexedDB
+     * Look up a registered adapter
+     * @param {string} name
+     * @returns {StorageAdapter}
      */
-    const initIndexedDB = () => {
-        return new Promise((resolve, reject) => {
-            const request = indexedDB.open(DB_NAME, DB_VERSION);
+    const getAdapter = (name) => {
+        const adapter = adapters.get(name);
+        if (!adapter) {
+            throw new Error(`Unknown storage adapter: ${name}`);
+        }
+        return adapter;
+    };
 
-            request.onerror = () => reject(request.error);
-            request.onsuccess = () => {
-                db = request.result;
-                resolve(db);
-            };
+    /**
+     * Initialize storage
+     * @param {Object} [options]
+     * @param {string} [options.local] - Local adapter name (default 'indexeddb')
+     * @param {string|null} [options.remote] - Remote adapter name, null for local-only (default 'supabase' when configured)
+     * @param {Function} [options.onProgress] - Receives local migration progress while the local adapter opens
+     */
+    const init = async ({
+        local: localName = 'indexeddb',
+        remote: remoteName = isSupabaseConfigured() ? 'supabase' : null,
+        onProgress
+    } = {}) => {
+        local = getAdapter(localName);
+        const missing = LOCAL_ADAPTER_METHODS.filter(method => typeof local[method] !== 'function');
+        if (missing.length > 0) {
+            throw new Error(`Storage adapter "${localName}" can't be used locally, missing: ${missing.join(', ')}`);
+        }
 
-            request.onupgradeneeded = (event) => {
-                const database = event.target.result;
+        // ALWAYS initialize the local adapter as a fallback, even with a remote one
+        // This allows local storage when user is not authenticated
+        await local.init({ onProgress });
 
-                if (!database.objectStoreNames.contains(STORE_NAME)) {
-                    const objectStore = database.createObjectStore(STORE_NAME, {
-                        keyPath: 'id',
-                        autoIncrement: false
-                    });
+        remote = remoteName ? getAdapter(remoteName) : null;
+        if (remote) {
+            await remote.init();
 
-                    objectStore.createIndex('type', 'type', { unique: false });
-                    objectStore.createIndex('date', 'date', { unique: false });
-                    objectStore.createIndex('timestamp', 'timestamp', { unique: false });
+            // Replay queued changes whenever the connection or session comes back
+            window.addEventListener('online', () => flushOutbox());
+            Auth.onAuthChange((event) => {
+                if (event === 'SIGNED_IN' || event === 'TOKEN_REFRESHED') {
+                    flushOutbox();
                 }
-            };
+                if (event === 'SIGNED_IN') {
+                    startRealtime();
+                } else if (event === 'SIGNED_OUT') {
+                    endRealtime();
+                }
+            });
+            startRealtime();
+        }
+
+        console.log(remote
+            ? `✓ Using ${remote.name} for storage (with ${local.name} fallback)`
+            : `Using ${local.name} for local storage`);
+    };
+
+    /**
+     * Check if requests should go to the remote adapter
+     * @returns {boolean}
+     */
+    const useRemote = () => remote !== null && remote.isReady();
+
+    /**
+     * Remember versions of entries read from the remote adapter
+     * @param {*} result - Entry, list or page of entries, or anything else
+     */
+    const rememberVersions = (result) => {
+        const entries = Array.isArray(result) ? result
+            : result && Array.isArray(result.entries) ? result.entries
+                : [result];
+        entries.forEach(entry => {
+            if (entry && entry.id && entry.version) {
+                knownEntries.set(entry.id, entry);
+            }
         });
     };
 
+    /**
+     * Run an operation on the right adapter, applying the fallback policy on failure
+     * Resolves undefined for changes that were queued instead of applied
+     * @param {string} operation - Adapter method name
+     * @param {...*} args - Arguments for the adapter method
+     * @returns {Promise<*>}
+     */
+    const route = async (operation, ...args) => {
+        if (!useRemote()) {
+            return local[operation](...args);
+        }
+
+        try {
+            const result = await remote[operation](...args);
+            rememberVersions(result);
+            return result;
+        } catch (error) {
+            const policy = FALLBACK_POLICY[operation];
+            // A change the server rejects would only fail again from the outbox
+            if (policy === 'throw' || (policy === 'queue' && navigator.onLine && isPermanentError(error))) throw error;
+
+            if (policy === 'local') {
+                console.warn(`Failed to ${operation} from ${remote.name}, using local storage:`, error);
+                return local[operation](...args);
+            }
+
+            console.warn(`Failed to ${operation} in ${remote.name}, queueing for sync:`, error);
+            const [target, changes] = args;
+            if (operation === 'create') {
+                const id = await local.create(target);
+                await enqueue('create', id);
+                return id;
+            }
+            await enqueue(operation === 'remove' ? 'delete' : 'update', target, changes);
+            return undefined;
+        }
+    };
+
     /**
      * Create a new entry
-     * @param {Object} entryData - Entry data
+     * The ID is assigned here so a queued copy keeps it when it reaches the remote adapter
+     * @param {Object} entryData - Entry data; a UUID id is kept, anything else is replaced
      * @returns {Promise<string>} Entry ID
      */
     const createEntry = async (entryData) => {
-        if (useSupabase) {
-            return createEntrySupabase(entryData);
+        const data = { ...entryData, id: EntryModel.isId(entryData.id) ? entryData.id : EntryModel.createId() };
+        EntryModel.validate(data);
+        return route('create', data);
+    };
+
+    /**
+     * Add an entry from a backup, unless an entry with its ID is already here
+     * Importing the same file twice doesn't duplicate entries
+     * @param {Object} entryData - Exported entry
+     * @returns {Promise<Object>} { id, created }; created is false when the entry was skipped
+     */
+    const importEntry = async (entryData) => {
+        if (EntryModel.isId(entryData.id) && await getEntry(entryData.id)) {
+            return { id: entryData.id, created: false };
+        }
+        try {
+            return { id: await createEntry(entryData), created: true };
+        } catch (error) {
+            if (!isDuplicateId(error)) throw error;
+            // The ID belongs to an entry this account can't see, e.g. from another account's backup
+            return { id: await createEntry({ ...entryData, id: EntryModel.createId() }), created: true };
         }
-        return createEntryIndexedDB(entryData);
     };
 
     /**
-     * Create entry in Supabase
+     * Get all entries
+     * @returns {Promise<Array>}
      */
-    const createEntrySupabase = async (entryData) => {
-        const client = getSupabaseClient();
-        const userId = Auth.getUserId();
+    const getAllEntries = async () => {
+        const entries = await route('getAll');
+        return useRemote() ? applyOutbox(entries, Auth.getUserId()) : entries;
+    };
 
-        // If not authenticated, fallback to IndexedDB  
-        if (!userId) {
-            console.warn('User not authenticated, falling back to local storage');
-            return createEntryIndexedDB(entryData);
+    /**
+     * Get one page of entries, newest first
+     * @param {Object} [options]
+     * @param {Object|null} [options.cursor] - nextCursor of the previous page, null for the first
+     * @param {number} [options.limit]
+     * @param {EntryFilters|null} [options.filters] - Same filters for every page of a list
+     * @returns {Promise<Object>} { entries, nextCursor }; nextCursor is null on the last page
+     */
+    const getEntriesPage = async ({ cursor = null, limit = PAGE_SIZE, filters = null } = {}) => {
+        const { entries, hasMore } = await route('getPage', cursor, limit, filters);
+        const last = entries[entries.length - 1];
+
+        let nextCursor = null;
+        if (hasMore && last) {
+            // Entries sharing the last timestamp are skipped on the next page
+            const ids = entries.filter(entry => entry.timestamp === last.timestamp).map(entry => entry.id);
+            if (cursor && cursor.timestamp === last.timestamp) {
+                ids.push(...cursor.ids);
+            }
+            nextCursor = { timestamp: last.timestamp, ids };
         }
 
-        try {
-            const entry = {
-                user_id: userId,
-                type: entryData.type || 'event',
-                content: entryData.content,
-                tags: entryData.tags || []
-            };
+        if (!useRemote()) {
+            return { entries, nextCursor };
+        }
 
-            const { data, error } = await client
-                .from('entries')
-                .insert([entry])
-                .select()
-                .single();
+        // Queued creates belong to the page whose time span they fall into
+        const newest = cursor ? cursor.timestamp : Infinity;
+        const oldest = nextCursor ? nextCursor.timestamp : -Infinity;
+        const pageIds = new Set(entries.map(entry => entry.id));
+        const merged = (await applyOutbox(entries, Auth.getUserId())).filter(entry =>
+            EntryModel.matchesFilters(entry, filters) &&
+            (pageIds.has(entry.id) || (entry.timestamp <= newest && entry.timestamp > oldest))
+        );
 
-            if (error) throw error;
-            return data.id;
-        } catch (error) {
-            // If Supabase fails, fallback to local storage
-            console.warn('Failed to save to Supabase, saving to local storage:', error);
-            return createEntryIndexedDB(entryData);
-        }
+        return { entries: merged, nextCursor };
     };
 
     /**
-     * Create entry in IndexedDB
+     * Get entry by ID
+     * Entries waiting in the outbox only exist locally
      */
-    const createEntryIndexedDB = (entryData) => {
-        return new Promise((resolve, reject) => {
-            if (!db) {
-                reject(new Error('Database not initialized'));
-                return;
-            }
+    const getEntry = async (id) => {
+        const entry = await route('get', id);
+        return entry || local.get(id);
+    };
 
-            const entry = {
-                id: Date.now().toString(),
-                timestamp: Date.now(),
-                date: new Date().toISOString(),
-                type: entryData.type || 'event',
-                content: entryData.content,
-                tags: entryData.tags || [],
-                customFields: entryData.customFields || {}
-            };
+    /**
+     * Get entries by date range
+     */
+    const getEntriesByDateRange = async (startDate, endDate) => {
+        const entries = await route('getByDateRange', startDate, endDate);
+        if (!useRemote()) return entries;
 
-            const transaction = db.transaction([STORE_NAME], 'readwrite');
-            const store = transaction.objectStore(STORE_NAME);
-            const request = store.add(entry);
+        const merged = await applyOutbox(entries, Auth.getUserId());
+        return merged.filter(entry =>
+            entry.timestamp >= startDate.getTime() && entry.timestamp <= endDate.getTime()
+        );
+    };
 
-            request.onsuccess = () => resolve(entry.id);
-            request.onerror = () => reject(request.error);
-        });
+    /**
+     * Get entries by type, including changes still in the outbox
+     * @param {string} type
+     * @returns {Promise<Array>}
+     */
+    const getEntriesByType = async (type) => {
+        const entries = await route('getByType', type);
+        if (!useRemote()) return entries;
+
+        const merged = await applyOutbox(entries, Auth.getUserId());
+        return merged.filter(entry => entry.type === type);
     };
 
     /**
-     * Get all entries
+     * Count entries per tag
+     * @returns {Promise<Array>} { tag, count }, most used first
+     */
+    const getTags = () => route('getTags');
+
+    /**
+     * Get entries with a tag, including changes still in the outbox
+     * @param {string} tag - Normalized tag
      * @returns {Promise<Array>}
      */
-    const getAllEntries = async () => {
-        if (useSupabase) {
-            return getAllEntriesSupabase();
+    const getEntriesWithTag = async (tag) => {
+        const entries = await route('getByTag', tag);
+        if (!useRemote()) return entries;
+
+        const merged = await applyOutbox(entries, Auth.getUserId());
+        return merged.filter(entry => entry.tags.includes(tag));
+    };
+
+    /**
+     * Rename a tag on every entry outside the trash
+     * Renaming to a tag that's already in use merges the two
+     * @param {string} tag
+     * @param {string} newTag
+     * @returns {Promise<number>} Number of entries changed
+     */
+    const renameTag = async (tag, newTag) => {
+        const from = EntryModel.normalizeTag(tag);
+        const to = EntryModel.normalizeTag(newTag);
+        if (!to) {
+            throw new Error('Tag name can\'t be empty');
         }
-        return getAllEntriesIndexedDB();
+        if (from === to) return 0;
+
+        const entries = await getEntriesWithTag(from);
+        for (const entry of entries) {
+            await updateEntry(entry.id, { tags: entry.tags.map(t => t === from ? to : t) });
+        }
+        return entries.length;
     };
 
     /**
-     * Get all entries from Supabase
+     * Remove a tag from every entry outside the trash
+     * @param {string} tag
+     * @returns {Promise<number>} Number of entries changed
      */
-    const getAllEntriesSupabase = async () => {
-        const client = getSupabaseClient();
-        const userId = Auth.getUserId();
+    const deleteTag = async (tag) => {
+        const target = EntryModel.normalizeTag(tag);
 
-        // If not authenticated, fallback to IndexedDB
-        if (!userId) {
-            console.warn('User not authenticated, loading from local storage');
-            return getAllEntriesIndexedDB();
+        const entries = await getEntriesWithTag(target);
+        for (const entry of entries) {
+            await updateEntry(entry.id, { tags: entry.tags.filter(t => t !== target) });
         }
+        return entries.length;
+    };
 
-        try {
-            const { data, error } = await client
-                .from('entries')
-                .select('*')
-                .eq('user_id', userId)
-                .order('created_at', { ascending: false });
-
-            if (error) throw error;
-
-            // Convert to local format
-            return data.map(entry => ({
-                id: entry.id,
-                timestamp: new Date(entry.created_at).getTime(),
-                date: entry.created_at,
-                type: entry.type,
-                content: entry.content,
-                tags: entry.tags || []
-            }));
-        } catch (error) {
-            // If Supabase fails, fallback to local storage
-            console.warn('Failed to fetch from Supabase, loading from local storage:', error);
-            return getAllEntriesIndexedDB();
+    /**
+     * Change the content of every entry of a type outside the trash whose content is exactly some text,
+     * used to keep quick-log history in step with a renamed option
+     * @param {string} type
+     * @param {string} content
+     * @param {string} newContent
+     * @returns {Promise<number>} Number of entries changed
+     */
+    const rewriteContent = async (type, content, newContent) => {
+        if (!newContent.trim()) {
+            throw new Error('Content can\'t be empty');
+        }
+        if (content === newContent) return 0;
+
+        const entries = (await getEntriesByType(type)).filter(entry => entry.content === content);
+        for (const entry of entries) {
+            await updateEntry(entry.id, { content: newContent });
         }
+        return entries.length;
     };
 
     /**
-     * Get all entries from IndexedDB
+     * Search entries
+     * @param {string} input - Words, "quoted phrases", tag:name and type:name qualifiers
+     * @param {Object} [options]
+     * @param {number} [options.limit]
+     * @returns {Promise<Object>} { query, entries }: the parsed query, for highlighting, and matching entries
+     *     newest first; entries is empty when the input has nothing to search for
      */
-    const getAllEntriesIndexedDB = () => {
-        return new Promise((resolve, reject) => {
-            if (!db) {
-                reject(new Error('Database not initialized'));
-                return;
-            }
+    const searchEntries = async (input, { limit = SEARCH_LIMIT } = {}) => {
+        const query = SearchQuery.parse(input);
+        if (SearchQuery.isEmpty(query)) {
+            return { query, entries: [] };
+        }
 
-            const transaction = db.transaction([STORE_NAME], 'readonly');
-            const store = transaction.objectStore(STORE_NAME);
-            const request = store.getAll();
+        const entries = await route('search', query, limit);
+        if (!useRemote()) {
+            return { query, entries };
+        }
 
-            request.onsuccess = () => {
-                const entries = request.result;
-                entries.sort((a, b) => b.timestamp - a.timestamp);
-                resolve(entries);
-            };
-            request.onerror = () => reject(request.error);
-        });
+        // Queued creates and updates haven't reached the server's index yet, so check them here
+        const merged = await applyOutbox(entries, Auth.getUserId());
+        return { query, entries: merged.filter(entry => SearchQuery.matches(entry, query)).slice(0, limit) };
     };
 
     /**
-     * Get entry by ID
+     * Update an entry
+     * @param {string} id
+     * @param {Object} updates
+     * @returns {Promise<boolean>} False if the entry changed on another device and the edit became a conflict
      */
-    const getEntry = async (id) => {
-        if (useSupabase) {
+    const updateEntry = async (id, updates) => {
+        const changes = EntryModel.normalizeUpdates(updates);
+        EntryModel.validate(changes, { partial: true });
+
+        const revised = REVISION_FIELDS.some(field => changes[field] !== undefined);
+        const before = revised ? await getEntry(id) : null;
+
+        const saved = await writeUpdate(id, changes);
+        if (saved && before) {
             try {
-                const client = getSupabaseClient();
-                const { data, error } = await client
-                    .from('entries')
-                    .select('*')
-                    .eq('id', id)
-                    .single();
-
-                if (error) throw error;
-                return data;
+                await recordRevision(before, changes);
             } catch (error) {
-                // Fallback to IndexedDB if Supabase fails
-                console.warn('Failed to fetch from Supabase, trying local storage:', error);
-                return getEntryIndexedDB(id);
+                console.warn('Failed to record revision:', error);
             }
         }
-        return getEntryIndexedDB(id);
+        return saved;
     };
 
-    const getEntryIndexedDB = (id) => {
-        return new Promise((resolve, reject) => {
-            if (!db) {
-                reject(new Error('Database not initialized'));
-                return;
-            }
+    /**
+     * Write an update to the right adapter
+     * @param {string} id
+     * @param {Object} changes - Normalized changes
+     * @returns {Promise<boolean>} False if it ran into a conflict instead
+     */
+    const writeUpdate = async (id, changes) => {
+        // Entries still waiting for upload only exist locally
+        if (!useRemote() || await hasPendingCreate(id)) {
+            await local.update(id, changes);
+            return true;
+        }
 
-            const transaction = db.transaction([STORE_NAME], 'readonly');
-            const store = transaction.objectStore(STORE_NAME);
-            const request = store.get(id);
+        // Only overwrite the version this device last saw
+        const known = knownEntries.get(id);
+        const updated = await route('update', id, changes, known ? known.version : null);
+        if (updated !== null) return true;
+
+        // Nothing matched: the entry changed or vanished on another device.
+        // The conflict keeps a full entry, "keep both" and restoring create it from this copy
+        const current = await remote.get(id);
+        const base = known || await local.get(id) || current;
+        if (!base) {
+            console.warn('Entry was deleted on another device, dropping the edit:', id);
+            return false;
+        }
+        await handleConflict({
+            entryId: id,
+            userId: Auth.getUserId(),
+            local: { ...base, ...changes, id },
+            localUpdatedAt: Date.now()
+        }, current);
+        return false;
+    };
 
-            request.onsuccess = () => resolve(request.result);
-            request.onerror = () => reject(request.error);
-        });
+    /**
+     * Move an entry to the trash
+     * @param {string} id
+     */
+    const deleteEntry = (id) => updateEntry(id, { deletedAt: Date.now() });
+
+    /**
+     * Take an entry back out of the trash
+     * @param {string} id
+     */
+    const restoreEntry = (id) => updateEntry(id, { deletedAt: null });
+
+    /**
+     * Get entries in the trash
+     * @returns {Promise<Array>} Most recently deleted first
+     */
+    const getTrash = () => route('getTrash');
+
+    /**
+     * Permanently delete an entry, with its revisions and attachments
+     * @param {string} id
+     */
+    const purgeEntry = async (id) => {
+        await removeLocalRevisionsFor(id);
+        await removeLocalAttachmentsFor(id);
+
+        // Never uploaded, so dropping the local copy and its queued create is enough
+        if (!useRemote() || await hasPendingCreate(id)) {
+            await removeOutboxRecordsFor(id);
+            await local.remove(id);
+            return;
+        }
+
+        const known = knownEntries.get(id);
+        const deleted = await route('remove', id, known ? known.version : null);
+        knownEntries.delete(id);
+        if (deleted !== false) return;
+
+        // Edited on another device since this one loaded it
+        const current = await remote.get(id);
+        if (current) {
+            await handleConflict({
+                entryId: id,
+                userId: Auth.getUserId(),
+                local: null,
+                localUpdatedAt: Date.now()
+            }, current);
+        }
     };
 
     /**
-     * Get entries by date range
+     * Permanently delete every entry in the trash
+     * @returns {Promise<number>} Number of entries deleted
      */
-    const getEntriesByDateRange = async (startDate, endDate) => {
-        if (useSupabase) {
-            const client = getSupabaseClient();
-            const userId = Auth.getUserId();
+    const emptyTrash = async () => {
+        const trashed = await getTrash();
+        for (const entry of trashed) {
+            await purgeEntry(entry.id);
+        }
+        return trashed.length;
+    };
 
-            const { data, error } = await client
-                .from('entries')
-                .select('*')
-                .eq('user_id', userId)
-                .gte('created_at', startDate.toISOString())
-                .lte('created_at', endDate.toISOString())
-                .order('created_at', { ascending: false });
-
-            if (error) throw error;
-
-            return data.map(entry => ({
-                id: entry.id,
-                timestamp: new Date(entry.created_at).getTime(),
-                date: entry.created_at,
-                type: entry.type,
-                content: entry.content,
-                tags: entry.tags || []
-            }));
-        }
-        return getEntriesByDateRangeIndexedDB(startDate, endDate);
-    };
-
-    const getEntriesByDateRangeIndexedDB = (startDate, endDate) => {
-        return new Promise((resolve, reject) => {
-            if (!db) {
-                reject(new Error('Database not initialized'));
-                return;
+    /**
+     * Permanently delete entries that have been in the trash too long
+     * @param {number} retentionDays - 0 keeps trashed entries until the trash is emptied
+     * @returns {Promise<number>} Number of entries deleted
+     */
+    const purgeExpiredTrash = async (retentionDays) => {
+        if (!retentionDays) return 0;
+
+        const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+        const expired = (await getTrash()).filter(entry => entry.deletedAt < cutoff);
+        for (const entry of expired) {
+            await purgeEntry(entry.id);
+        }
+        return expired.length;
+    };
+
+    /**
+     * Move all entries to the trash
+     */
+    const clearAll = async () => {
+        const entries = await getAllEntries();
+        for (const entry of entries) {
+            await deleteEntry(entry.id);
+        }
+    };
+
+    // ============================================
+    // Revisions - earlier versions of edited entries
+    // ============================================
+
+    /**
+     * Save the state of an entry as a revision, locally and on the remote adapter
+     * @param {Object} entry
+     * @param {number} savedAt
+     */
+    const saveRevision = async (entry, savedAt) => {
+        const revision = {
+            id: EntryModel.createId(),
+            entryId: entry.id,
+            userId: Auth.getUserId(),
+            type: entry.type,
+            content: entry.content,
+            tags: entry.tags,
+            savedAt
+        };
+
+        await local.putRecord(REVISIONS_STORE, revision);
+
+        // The local log still has it if this fails
+        if (useRemote() && typeof remote.addRevision === 'function') {
+            try {
+                await remote.addRevision(revision);
+            } catch (error) {
+                console.warn(`Failed to save revision in ${remote.name}:`, error);
             }
+        }
+    };
 
-            const transaction = db.transaction([STORE_NAME], 'readonly');
-            const store = transaction.objectStore(STORE_NAME);
-            const index = store.index('date');
+    /**
+     * Record a save that changed content, type or tags
+     * The first edit also records the original, so there's something to compare against
+     * @param {Object} before - Entry before the save
+     * @param {Object} changes
+     */
+    const recordRevision = async (before, changes) => {
+        const history = await getRevisions(before.id);
+        if (history.length === 0) {
+            await saveRevision(before, before.updatedAt);
+        }
+        await saveRevision({ ...before, ...changes }, Date.now());
+    };
 
-            const range = IDBKeyRange.bound(
-                startDate.toISOString(),
-                endDate.toISOString()
-            );
+    /**
+     * Get the revisions of an entry from this device and the remote adapter
+     * @param {string} entryId
+     * @returns {Promise<Array>} Oldest first
+     */
+    const getRevisions = async (entryId) => {
+        const records = await local.getRecords(REVISIONS_STORE);
+        const revisions = new Map(records
+            .filter(revision => revision.entryId === entryId)
+            .map(revision => [revision.id, revision]));
 
-            const request = index.getAll(range);
+        if (useRemote() && typeof remote.getRevisions === 'function') {
+            try {
+                (await remote.getRevisions(entryId)).forEach(revision => revisions.set(revision.id, revision));
+            } catch (error) {
+                console.warn(`Failed to load revisions from ${remote.name}, showing this device's:`, error);
+            }
+        }
 
-            request.onsuccess = () => {
-                const entries = request.result;
-                entries.sort((a, b) => b.timestamp - a.timestamp);
-                resolve(entries);
-            };
-            request.onerror = () => reject(request.error);
+        return [...revisions.values()].sort((a, b) => a.savedAt - b.savedAt);
+    };
+
+    /**
+     * Put an entry back the way it was at a revision
+     * Saved as a new revision, so the restore itself can be undone
+     * @param {string} entryId
+     * @param {string} revisionId
+     */
+    const restoreRevision = async (entryId, revisionId) => {
+        const revision = (await getRevisions(entryId)).find(r => r.id === revisionId);
+        if (!revision) {
+            throw new Error('Revision not found');
+        }
+
+        await updateEntry(entryId, {
+            type: revision.type,
+            content: revision.content,
+            tags: revision.tags
         });
     };
 
     /**
-     * Get entries by type
+     * Remove this device's revisions of an entry
+     * The remote table drops them together with the entry
+     * @param {string} entryId
      */
-    const getEntriesByType = async (type) => {
-        if (useSupabase) {
-            const client = getSupabaseClient();
-            const userId = Auth.getUserId();
+    const removeLocalRevisionsFor = async (entryId) => {
+        const records = await local.getRecords(REVISIONS_STORE);
+        for (const revision of records.filter(r => r.entryId === entryId)) {
+            await local.deleteRecord(REVISIONS_STORE, revision.id);
+        }
+    };
 
-            const { data, error } = await client
-                .from('entries')
-                .select('*')
-                .eq('user_id', userId)
-                .eq('type', type)
-                .order('created_at', { ascending: false });
+    // ============================================
+    // Attachments - photos and audio clips on entries
+    // ============================================
 
-            if (error) throw error;
+    /**
+     * Tell what kind of attachment a file is
+     * @param {string} mimeType
+     * @returns {string|null} 'image', 'audio', or null if it can't be attached
+     */
+    const attachmentKind = (mimeType) => {
+        const kind = String(mimeType || '').split('/')[0];
+        return ATTACHMENT_KINDS.includes(kind) ? kind : null;
+    };
 
-            return data.map(entry => ({
-                id: entry.id,
-                timestamp: new Date(entry.created_at).getTime(),
-                date: entry.created_at,
-                type: entry.type,
-                content: entry.content,
-                tags: entry.tags || []
-            }));
+    /**
+     * Check that a file can be attached
+     * @param {string} mimeType
+     * @param {number} size - In bytes
+     * @throws {Error} If it isn't an image or audio clip, or is too big
+     */
+    const validateAttachment = (mimeType, size) => {
+        if (!attachmentKind(mimeType)) {
+            throw new Error('Only images and audio can be attached');
+        }
+        if (size > MAX_ATTACHMENT_SIZE) {
+            throw new Error(`Attachments can be at most ${MAX_ATTACHMENT_SIZE / 1024 / 1024} MB`);
         }
-        return getEntriesByTypeIndexedDB(type);
     };
 
-    const getEntriesByTypeIndexedDB = (type) => {
-        return new Promise((resolve, reject) => {
-            if (!db) {
-                reject(new Error('Database not initialized'));
-                return;
+    /**
+     * Check if attachments can go to the remote adapter
+     * @returns {boolean}
+     */
+    const useRemoteAttachments = () => useRemote() && typeof remote.addAttachment === 'function';
+
+    /**
+     * Attach a photo or audio clip to an entry
+     * Signed in, the file goes to the remote adapter; if that fails, or the entry itself
+     * hasn't been uploaded yet, it stays on this device until the next sync
+     * @param {string} entryId
+     * @param {Blob} file - A File or Blob with an image/* or audio/* type
+     * @param {Object} [details] - { id, name, createdAt } to keep, e.g. when importing
+     * @returns {Promise<Object>} Attachment { id, entryId, userId, name, mimeType, kind, size, createdAt }
+     */
+    const addAttachment = async (entryId, file, details = {}) => {
+        validateAttachment(file.type, file.size);
+        const kind = attachmentKind(file.type);
+
+        const attachment = {
+            id: details.id || EntryModel.createId(),
+            entryId,
+            userId: Auth.getUserId(),
+            name: details.name || file.name || kind,
+            mimeType: file.type,
+            kind,
+            size: file.size,
+            createdAt: details.createdAt || Date.now()
+        };
+
+        if (useRemoteAttachments() && !(await hasPendingCreate(entryId))) {
+            try {
+                await remote.addAttachment(attachment, file);
+                return attachment;
+            } catch (error) {
+                console.warn(`Failed to upload attachment to ${remote.name}, keeping it for sync:`, error);
             }
+        }
 
-            const transaction = db.transaction([STORE_NAME], 'readonly');
-            const store = transaction.objectStore(STORE_NAME);
-            const index = store.index('type');
-            const request = index.getAll(type);
+        await local.putRecord(ATTACHMENTS_STORE, { ...attachment, blob: file });
+        return attachment;
+    };
 
-            request.onsuccess = () => {
-                const entries = request.result;
-                entries.sort((a, b) => b.timestamp - a.timestamp);
-                resolve(entries);
-            };
-            request.onerror = () => reject(request.error);
-        });
+    /**
+     * Get the attachments of some entries, from this device and the remote adapter
+     * Each one has either a blob (stored on this device) or a url (stored remotely)
+     * @param {Array<string>} entryIds
+     * @param {Object} [options]
+     * @param {boolean} [options.strict] - Throw when the remote adapter fails instead of returning this device's only
+     * @returns {Promise<Array>} Oldest first
+     */
+    const getAttachments = async (entryIds, { strict = false } = {}) => {
+        const ids = new Set(entryIds);
+        if (ids.size === 0) return [];
+
+        const records = await local.getRecords(ATTACHMENTS_STORE);
+        const attachments = new Map(records
+            .filter(attachment => ids.has(attachment.entryId))
+            .map(attachment => [attachment.id, attachment]));
+
+        if (useRemoteAttachments()) {
+            try {
+                (await remote.getAttachments([...ids])).forEach(attachment => attachments.set(attachment.id, attachment));
+            } catch (error) {
+                if (strict) throw error;
+                console.warn(`Failed to load attachments from ${remote.name}, showing this device's:`, error);
+            }
+        }
+
+        return [...attachments.values()].sort((a, b) => a.createdAt - b.createdAt);
     };
 
     /**
-     * Update an entry
+     * Get the file of an attachment
+     * @param {Object} attachment - From getAttachments()
+     * @returns {Promise<Blob>}
      */
-    const updateEntry = async (id, updates) => {
-        if (useSupabase) {
-            const client = getSupabaseClient();
-            const { error } = await client
-                .from('entries')
-                .update(updates)
-                .eq('id', id);
-
-            if (error) throw error;
+    const getAttachmentBlob = async (attachment) => {
+        if (attachment.blob) return attachment.blob;
+        return remote.getAttachmentBlob(attachment);
+    };
+
+    /**
+     * Delete one attachment
+     * @param {Object} attachment - From getAttachments()
+     */
+    const deleteAttachment = async (attachment) => {
+        if (attachment.blob) {
+            await local.deleteRecord(ATTACHMENTS_STORE, attachment.id);
             return;
         }
-        return updateEntryIndexedDB(id, updates);
+        if (!useRemoteAttachments()) {
+            throw new Error('Sign in to delete this attachment');
+        }
+        await remote.removeAttachment(attachment);
     };
 
-    const updateEntryIndexedDB = (id, updates) => {
-        return new Promise(async (resolve, reject) => {
-            try {
-                const entry = await getEntryIndexedDB(id);
-                if (!entry) {
-                    reject(new Error('Entry not found'));
-                    return;
-                }
+    /**
+     * Upload attachments kept on this device
+     * Entries still waiting in the outbox keep theirs until they're uploaded
+     * @param {Function} shouldUpload - Receives an attachment record
+     * @param {boolean} keepLocal - Leave the local copy, for entries that also stay on this device
+     * @returns {Promise<number>} Number of attachments uploaded
+     */
+    const uploadLocalAttachments = async (shouldUpload, keepLocal = false) => {
+        if (!useRemoteAttachments()) return 0;
 
-                const updatedEntry = { ...entry, ...updates, id, timestamp: entry.timestamp };
+        const records = (await local.getRecords(ATTACHMENTS_STORE)).filter(shouldUpload);
+        let uploaded = 0;
 
-                const transaction = db.transaction([STORE_NAME], 'readwrite');
-                const store = transaction.objectStore(STORE_NAME);
-                const request = store.put(updatedEntry);
+        for (const { blob, ...attachment } of records) {
+            if (await hasPendingCreate(attachment.entryId)) continue;
 
-                request.onsuccess = () => resolve();
-                request.onerror = () => reject(request.error);
+            try {
+                await remote.addAttachment(attachment, blob);
             } catch (error) {
-                reject(error);
+                // Purged on another device, nothing left to attach it to
+                if (!(await remote.get(attachment.entryId))) {
+                    await local.deleteRecord(ATTACHMENTS_STORE, attachment.id);
+                    continue;
+                }
+                throw error;
             }
-        });
+
+            if (!keepLocal) {
+                await local.deleteRecord(ATTACHMENTS_STORE, attachment.id);
+            }
+            uploaded++;
+        }
+
+        return uploaded;
     };
 
     /**
-     * Delete an entry
+     * Remove this device's attachments of an entry
+     * The remote adapter drops its own together with the entry
+     * @param {string} entryId
      */
-    const deleteEntry = async (id) => {
-        if (useSupabase) {
-            const client = getSupabaseClient();
-            const { error } = await client
-                .from('entries')
-                .delete()
-                .eq('id', id);
+    const removeLocalAttachmentsFor = async (entryId) => {
+        const records = await local.getRecords(ATTACHMENTS_STORE);
+        for (const attachment of records.filter(a => a.entryId === entryId)) {
+            await local.deleteRecord(ATTACHMENTS_STORE, attachment.id);
+        }
+    };
+
+    // ============================================
+    // Realtime - changes pushed from other sessions
+    // ============================================
 
-            if (error) throw error;
+    /**
+     * Start listening for remote changes, if the remote adapter supports it
+     */
+    const startRealtime = () => {
+        if (stopRealtime || !useRemote() || typeof remote.subscribe !== 'function') return;
+        stopRealtime = remote.subscribe(handleRemoteChange);
+    };
+
+    /**
+     * Stop listening for remote changes
+     */
+    const endRealtime = () => {
+        if (!stopRealtime) return;
+        stopRealtime();
+        stopRealtime = null;
+    };
+
+    /**
+     * Track versions of pushed changes and pass them on
+     * @param {Object} change - { type, id, entry }
+     */
+    const handleRemoteChange = (change) => {
+        if (change.type === 'delete') {
+            knownEntries.delete(change.id);
+        } else {
+            rememberVersions(change.entry);
+        }
+        changeListeners.forEach(listener => listener(change));
+    };
+
+    /**
+     * Register a callback for entries changed by other sessions
+     * Own changes may echo back too, listeners should be idempotent
+     * @param {Function} listener - Called with { type: 'insert'|'update'|'delete', id, entry }
+     */
+    const onRemoteChange = (listener) => {
+        changeListeners.push(listener);
+    };
+
+    // ============================================
+    // Outbox - changes waiting to reach the remote adapter
+    // ============================================
+
+    /**
+     * Queue a change for replay once the remote adapter is reachable
+     * @param {string} op - 'create', 'update' or 'delete'
+     * @param {string} entryId - Entry the change applies to
+     * @param {Object} [changes] - Field updates for 'update' records
+     */
+    const enqueue = async (op, entryId, changes = null) => {
+        const known = knownEntries.get(entryId);
+        const record = {
+            op,
+            entryId,
+            changes,
+            userId: Auth.getUserId(),
+            queuedAt: Date.now(),
+            baseVersion: known ? known.version : null,
+            snapshot: known ? { ...known, ...changes } : null
+        };
+
+        // Fold into an earlier pending update so replay checks against the original base version
+        const pending = (await getOutbox(record.userId))
+            .find(r => r.op === 'update' && r.entryId === entryId);
+        if (pending && op !== 'create') {
+            record.seq = pending.seq;
+            record.baseVersion = pending.baseVersion;
+            record.changes = op === 'update' ? { ...pending.changes, ...changes } : null;
+            record.snapshot = { ...pending.snapshot, ...changes };
+        }
+
+        return local.putRecord(OUTBOX_STORE, record);
+    };
+
+    /**
+     * Get queued changes for a user, oldest first
+     * @param {string} userId
+     * @returns {Promise<Array>}
+     */
+    const getOutbox = async (userId) => {
+        const records = await local.getRecords(OUTBOX_STORE);
+        return records.filter(record => record.userId === userId);
+    };
+
+    /**
+     * Check if an entry was created offline and not uploaded yet
+     * @param {string} entryId
+     * @returns {Promise<boolean>}
+     */
+    const hasPendingCreate = async (entryId) => {
+        const records = await getOutbox(Auth.getUserId());
+        return records.some(record => record.op === 'create' && record.entryId === entryId);
+    };
+
+    /**
+     * Remove every outbox record for an entry
+     * @param {string} entryId
+     */
+    const removeOutboxRecordsFor = async (entryId) => {
+        const records = await getOutbox(Auth.getUserId());
+        for (const record of records.filter(r => r.entryId === entryId)) {
+            await local.deleteRecord(OUTBOX_STORE, record.seq);
+        }
+    };
+
+    /**
+     * Overlay queued changes on entries fetched from the remote adapter
+     * @param {Array} entries - Entries in local format
+     * @param {string} userId
+     * @returns {Promise<Array>}
+     */
+    const applyOutbox = async (entries, userId) => {
+        const records = await getOutbox(userId);
+        if (records.length === 0) return entries;
+
+        let merged = [...entries];
+        for (const record of records) {
+            if (record.op === 'create') {
+                const pending = await local.get(record.entryId);
+                if (pending && !merged.some(entry => entry.id === pending.id)) {
+                    merged.push(pending);
+                }
+            } else if (record.op === 'update') {
+                merged = merged.map(entry => entry.id === record.entryId
+                    ? EntryModel.normalize({ ...entry, ...record.changes, id: entry.id })
+                    : entry
+                );
+            } else if (record.op === 'delete') {
+                merged = merged.filter(entry => entry.id !== record.entryId);
+            }
+        }
+
+        // Queued updates may have moved entries to the trash
+        merged = merged.filter(entry => !EntryModel.isTrashed(entry));
+        merged.sort((a, b) => b.timestamp - a.timestamp);
+        return merged;
+    };
+
+    /**
+     * Send one outbox record to the remote adapter
+     * @param {Object} record
+     */
+    const replayRecord = async (record) => {
+        if (record.op === 'create') {
+            const pending = await local.get(record.entryId);
+            if (pending) {
+                // Same ID on both sides, so a create that already landed isn't uploaded twice
+                if (!(await remote.get(pending.id))) {
+                    try {
+                        await remote.create(pending);
+                    } catch (error) {
+                        if (!isDuplicateId(error)) throw error;
+                        // Taken by an entry this account can't see, e.g. imported from another account's backup
+                        await remote.create({ ...pending, id: await rekeyLocalRecords(pending.id) });
+                    }
+                }
+                await local.remove(record.entryId);
+            }
+            await local.deleteRecord(OUTBOX_STORE, record.seq);
             return;
         }
-        return deleteEntryIndexedDB(id);
+
+        // Another device may have changed the entry while this one was offline
+        const current = await remote.get(record.entryId);
+        const changedElsewhere = !current ||
+            (record.baseVersion !== null && current.version !== record.baseVersion);
+
+        if (changedElsewhere) {
+            if (record.op !== 'delete' || current) {
+                await handleConflict({
+                    entryId: record.entryId,
+                    userId: record.userId,
+                    local: record.op === 'delete' ? null : { ...record.snapshot, id: record.entryId },
+                    localUpdatedAt: record.queuedAt
+                }, current);
+            }
+        } else if (record.op === 'update') {
+            await remote.update(record.entryId, record.changes);
+        } else if (record.op === 'delete') {
+            await remote.remove(record.entryId);
+        }
+
+        await local.deleteRecord(OUTBOX_STORE, record.seq);
     };
 
-    const deleteEntryIndexedDB = (id) => {
-        return new Promise((resolve, reject) => {
-            if (!db) {
-                reject(new Error('Database not initialized'));
-                return;
+    /**
+     * Check if a replay error will come back on every retry
+     * Postgres data, constraint and permission errors (SQLSTATE classes 22, 23 and 42),
+     * PostgREST request errors and invalid entries are permanent; network errors aren't
+     * @param {Error|Object} error
+     * @returns {boolean}
+     */
+    const isPermanentError = (error) => {
+        const code = String(error?.code || '');
+        return /^(22|23|42)/.test(code) ||
+            /^PGRST[12]/.test(code) ||
+            /^Invalid entry/.test(error?.message || '');
+    };
+
+    /**
+     * Check if a create failed because the entry ID is already taken
+     * @param {Error|Object} error
+     * @returns {boolean}
+     */
+    const isDuplicateId = (error) => error?.code === '23505';
+
+    /**
+     * Give an entry that was never uploaded a new ID in the revisions and attachments kept on this device
+     * @param {string} entryId
+     * @returns {Promise<string>} The new ID
+     */
+    const rekeyLocalRecords = async (entryId) => {
+        const id = EntryModel.createId();
+        for (const store of [REVISIONS_STORE, ATTACHMENTS_STORE]) {
+            const records = (await local.getRecords(store)).filter(record => record.entryId === entryId);
+            for (const record of records) {
+                await local.putRecord(store, { ...record, entryId: id });
             }
+        }
+        return id;
+    };
 
-            const transaction = db.transaction([STORE_NAME], 'readwrite');
-            const store = transaction.objectStore(STORE_NAME);
-            const request = store.delete(id);
+    /**
+     * Move an outbox record to the failed changes, keeping its place in the queue
+     * @param {Object} record
+     * @param {string} reason
+     * @returns {Promise<Object>} The failed change
+     */
+    const moveToFailed = async (record, reason) => {
+        // Creates carry no snapshot, keep the entry so the user can see what failed
+        const snapshot = record.snapshot || (record.op === 'create' ? await local.get(record.entryId) : null);
+        let failed = { ...record, snapshot, error: reason, failedAt: Date.now() };
+
+        // Fold into an earlier failed update like enqueue does, so a retry checks against its base version
+        const earlier = (await local.getRecords(FAILED_STORE))
+            .find(r => r.op === 'update' && r.entryId === record.entryId);
+        if (earlier && record.op !== 'create') {
+            failed = {
+                ...failed,
+                seq: earlier.seq,
+                baseVersion: earlier.baseVersion,
+                changes: record.op === 'update' ? { ...earlier.changes, ...record.changes } : null,
+                snapshot: { ...earlier.snapshot, ...record.changes },
+                error: earlier.error
+            };
+        }
 
-            request.onsuccess = () => resolve();
-            request.onerror = () => reject(request.error);
-        });
+        await local.putRecord(FAILED_STORE, failed);
+        await local.deleteRecord(OUTBOX_STORE, record.seq);
+        return failed;
     };
 
     /**
-     * Clear all entries
+     * Replay queued changes to the remote adapter in order
+     * A change the server rejects is set aside with any later changes to the same entry,
+     * the rest carry on; network failures stop the replay and keep everything for the next attempt
+     * @returns {Promise<number>} Number of changes synced
      */
-    const clearAll = async () => {
-        if (useSupabase) {
-            const client = getSupabaseClient();
+    const flushOutbox = async () => {
+        if (!local || !useRemote() || !navigator.onLine) return 0;
+
+        // Only one replay at a time, concurrent callers share it
+        if (flushPromise) return flushPromise;
+
+        flushPromise = (async () => {
             const userId = Auth.getUserId();
-            const { error } = await client
-                .from('entries')
-                .delete()
-                .eq('user_id', userId);
+            const records = await getOutbox(userId);
+            const blocked = new Set((await getFailedChanges()).map(record => record.entryId));
+            const failed = [];
+            let synced = 0;
+            let paused = false;
+
+            for (const record of records) {
+                // Later changes to an entry wait behind the one that failed, so they stay in order
+                if (blocked.has(record.entryId)) {
+                    failed.push(await moveToFailed(record, 'An earlier change to this entry could not sync'));
+                    continue;
+                }
+
+                try {
+                    await replayRecord(record);
+                    synced++;
+                } catch (error) {
+                    if (!navigator.onLine || !isPermanentError(error)) {
+                        console.warn('Sync paused, will retry later:', error);
+                        paused = true;
+                        break;
+                    }
+
+                    console.error('Change could not sync:', error);
+                    failed.push(await moveToFailed(record, error.message || String(error)));
+                    blocked.add(record.entryId);
+                }
+            }
 
-            if (error) throw error;
+            // Attachments added offline, once the entries they belong to are there
+            if (!paused) {
+                try {
+                    synced += await uploadLocalAttachments(attachment => attachment.userId === userId);
+                } catch (error) {
+                    console.warn('Attachment upload paused, will retry later:', error);
+                }
+            }
+
+            if (synced > 0) {
+                console.log(`✓ Synced ${synced} offline change(s)`);
+                syncListeners.forEach(listener => listener(synced));
+            }
+            if (failed.length > 0) {
+                failureListeners.forEach(listener => listener(failed));
+            }
+            return synced;
+        })();
+
+        try {
+            return await flushPromise;
+        } finally {
+            flushPromise = null;
+        }
+    };
+
+    /**
+     * Get number of changes waiting to sync
+     * @returns {Promise<number>}
+     */
+    const getPendingCount = async () => {
+        const userId = Auth.getUserId();
+        if (!userId || !local) return 0;
+        const records = await getOutbox(userId);
+        const attachments = (await local.getRecords(ATTACHMENTS_STORE)).filter(a => a.userId === userId);
+        return records.length + attachments.length;
+    };
+
+    /**
+     * Register a callback for when queued changes reach the remote adapter
+     * @param {Function} listener - Called with the number of synced changes
+     */
+    const onSync = (listener) => {
+        syncListeners.push(listener);
+    };
+
+    // ============================================
+    // Failed changes - rejected by the server
+    // ============================================
+
+    /**
+     * Get changes the server rejected, oldest first
+     * @returns {Promise<Array>} Outbox records with the error and failedAt
+     */
+    const getFailedChanges = async () => {
+        const userId = Auth.getUserId();
+        const records = await local.getRecords(FAILED_STORE);
+        return records.filter(record => record.userId === userId);
+    };
+
+    /**
+     * Queue an entry's failed changes again and replay them
+     * @param {string} entryId
+     * @returns {Promise<number>} Number of changes synced
+     */
+    const retryFailedChange = async (entryId) => {
+        const records = (await getFailedChanges()).filter(record => record.entryId === entryId);
+        for (const { error, failedAt, ...record } of records) {
+            // Same seq as before, so they replay ahead of anything queued since
+            await local.putRecord(OUTBOX_STORE, record);
+            await local.deleteRecord(FAILED_STORE, record.seq);
+        }
+        return flushOutbox();
+    };
+
+    /**
+     * Drop an entry's failed changes
+     * An entry that was never uploaded is removed from this device too
+     * @param {string} entryId
+     */
+    const discardFailedChange = async (entryId) => {
+        const records = (await getFailedChanges()).filter(record => record.entryId === entryId);
+        for (const record of records) {
+            await local.deleteRecord(FAILED_STORE, record.seq);
+        }
+        if (records.some(record => record.op === 'create')) {
+            await local.remove(entryId);
+        }
+    };
+
+    /**
+     * Register a callback for changes the server rejected
+     * @param {Function} listener - Called with the failed changes of a replay
+     */
+    const onSyncFailure = (listener) => {
+        failureListeners.push(listener);
+    };
+
+    // ============================================
+    // Conflicts - same entry changed on two devices
+    // ============================================
+
+    /**
+     * Set how conflicting edits are resolved
+     * @param {string} policy - 'manual', 'last-writer-wins' or 'keep-both'
+     */
+    const setConflictPolicy = (policy) => {
+        if (!CONFLICT_POLICIES.includes(policy)) {
+            throw new Error(`Unknown conflict policy: ${policy}`);
+        }
+        conflictPolicy = policy;
+    };
+
+    /**
+     * Resolve a conflict by policy, or store it for the user to decide
+     * @param {Object} conflict - { entryId, userId, local, localUpdatedAt }; local is null for a delete
+     * @param {Object|null} current - Current remote copy, null if deleted there
+     */
+    const handleConflict = async (conflict, current) => {
+        const record = { ...conflict, remote: current, detectedAt: Date.now() };
+
+        if (conflictPolicy === 'last-writer-wins') {
+            const remoteIsNewer = current && current.updatedAt > conflict.localUpdatedAt;
+            await applyResolution(record, remoteIsNewer ? 'remote' : 'local');
+            return;
+        }
+
+        if (conflictPolicy === 'keep-both') {
+            await applyResolution(record, 'both');
+            return;
+        }
+
+        await local.putRecord(CONFLICTS_STORE, record);
+        conflictListeners.forEach(listener => listener(record));
+    };
+
+    /**
+     * Write the chosen side of a conflict to the remote adapter
+     * @param {Object} conflict
+     * @param {string} choice - 'local', 'remote' or 'both'
+     */
+    const applyResolution = async (conflict, choice) => {
+        const { entryId } = conflict;
+        const mine = conflict.local;
+
+        if (choice === 'remote' || (choice === 'both' && !mine)) {
+            return;
+        }
+
+        if (!mine) {
+            await remote.remove(entryId);
             return;
         }
-        return clearAllIndexedDB();
+
+        const fields = EntryModel.normalizeUpdates(mine);
+
+        if (choice === 'local' && conflict.remote) {
+            await remote.update(entryId, fields);
+            return;
+        }
+
+        // Keep both, or restore an entry deleted on the other device
+        await remote.create(fields);
+    };
+
+    /**
+     * Get conflicts waiting for the user to choose a version
+     * @returns {Promise<Array>}
+     */
+    const getConflicts = async () => {
+        const userId = Auth.getUserId();
+        const conflicts = await local.getRecords(CONFLICTS_STORE);
+        return conflicts.filter(conflict => conflict.userId === userId);
+    };
+
+    /**
+     * Resolve a stored conflict
+     * @param {number} conflictId
+     * @param {string} choice - 'local', 'remote' or 'both'
+     */
+    const resolveConflict = async (conflictId, choice) => {
+        const conflicts = await getConflicts();
+        const conflict = conflicts.find(c => c.id === conflictId);
+        if (!conflict) {
+            throw new Error('Conflict not found');
+        }
+
+        await applyResolution(conflict, choice);
+        await local.deleteRecord(CONFLICTS_STORE, conflictId);
     };
 
-    const clearAllIndexedDB = () => {
-        return new Promise((resolve, reject) => {
-            if (!db) {
-                reject(new Error('Database not initialized'));
-                return;
+    /**
+     * Register a callback for conflicts that need the user's decision
+     * @param {Function} listener - Called with the stored conflict
+     */
+    const onConflict = (listener) => {
+        conflictListeners.push(listener);
+    };
+
+    // ============================================
+    // Local entries - written before signing in
+    // ============================================
+
+    /**
+     * Get local entries that were never offered to an account
+     * Skips entries waiting in the outbox or set aside as failed changes, those sync on their own
+     * @returns {Promise<Array>} Newest first
+     */
+    const getLocalOnlyEntries = async () => {
+        if (!useRemote()) return [];
+
+        const [entries, outbox, failed, uploads] = await Promise.all([
+            local.getAll(),
+            local.getRecords(OUTBOX_STORE),
+            local.getRecords(FAILED_STORE),
+            local.getRecords(UPLOADS_STORE)
+        ]);
+        const handled = new Set([
+            ...outbox.map(record => record.entryId),
+            ...failed.map(record => record.entryId),
+            ...uploads.map(record => record.entryId)
+        ]);
+
+        return entries.filter(entry => !handled.has(entry.id));
+    };
+
+    /**
+     * Upload local entries to the signed-in account
+     * Entries keep their ID, original time and attachments; each one is marked so it isn't offered again
+     * @param {Array<string>} ids - Entries to upload
+     * @param {Array<string>} [keepLocalIds] - Entries to leave on this device only
+     * @returns {Promise<number>} Number of entries uploaded
+     */
+    const uploadLocalEntries = async (ids, keepLocalIds = []) => {
+        if (!useRemote()) {
+            throw new Error('Sign in to upload entries');
+        }
+
+        const userId = Auth.getUserId();
+        let uploaded = 0;
+
+        for (const id of ids) {
+            const entry = await local.get(id);
+            if (!entry) continue;
+
+            if (!(await remote.get(id))) {
+                await remote.create(entry);
             }
+            await uploadLocalAttachments(attachment => attachment.entryId === id && !attachment.userId, true);
+            await local.putRecord(UPLOADS_STORE, { entryId: id, userId, status: 'uploaded', markedAt: Date.now() });
+            uploaded++;
+        }
 
-            const transaction = db.transaction([STORE_NAME], 'readwrite');
-            const store = transaction.objectStore(STORE_NAME);
-            const request = store.clear();
+        for (const id of keepLocalIds) {
+            await local.putRecord(UPLOADS_STORE, { entryId: id, userId, status: 'kept-local', markedAt: Date.now() });
+        }
 
-            request.onsuccess = () => resolve();
-            request.onerror = () => reject(request.error);
-        });
+        return uploaded;
     };
 
+    // Built-in adapters
+    [IndexedDBAdapter, SupabaseAdapter, MemoryAdapter].forEach(registerAdapter);
+
     // Public API
     return {
+        CONFLICT_POLICIES,
         init,
+        registerAdapter,
         createEntry,
+        importEntry,
         getAllEntries,
+        getEntriesPage,
         getEntry,
         getEntriesByDateRange,
         getEntriesByType,
+        searchEntries,
+        getTags,
+        renameTag,
+        deleteTag,
+        rewriteContent,
         updateEntry,
         deleteEntry,
-        clearAll
+        restoreEntry,
+        getTrash,
+        purgeEntry,
+        emptyTrash,
+        purgeExpiredTrash,
+        clearAll,
+        getRevisions,
+        restoreRevision,
+        addAttachment,
+        validateAttachment,
+        getAttachments,
+        getAttachmentBlob,
+        deleteAttachment,
+        flushOutbox,
+        getPendingCount,
+        onSync,
+        getFailedChanges,
+        retryFailedChange,
+        discardFailedChange,
+        onSyncFailure,
+        onRemoteChange,
+        setConflictPolicy,
+        getConflicts,
+        resolveConflict,
+        onConflict,
+        getLocalOnlyEntries,
+        uploadLocalEntries
     };
 })();
@@ -0,0 +1,264 @@
+/**
+ * Synced List Module
+ * Small per-user lists (templates, quick-log options) kept in localStorage
+ * and mirrored to a Supabase table while signed in
+ *
+ * The local copy is always the one read, so lists work offline and in local mode.
+ * Changes are marked dirty and pushed on the next sync; items deleted offline leave
+ * a tombstone so the delete reaches the table too. The first sync on an account
+ * merges in anything written in local mode before signing in.
+ */
+
+const SyncedList = (() => {
+    /**
+     * Create a synced list
+     * @param {Object} options
+     * @param {string} options.storageKey - localStorage key of the local copy
+     * @param {string} options.table - Supabase table, with id, user_id and RLS per user
+     * @param {Function} options.keyOf - (item) => string, identity used to match local and remote items
+     * @param {string} [options.onConflict] - Columns of the table's unique key, for upserts
+     * @param {Function} options.toRow - (item, userId) => row
+     * @param {Function} options.fromRow - (row) => item; items carry id and updatedAt (ms)
+     * @returns {Object} { init, getAll, put, remove, sync, onChange }
+     */
+    const create = ({ storageKey, table, keyOf, onConflict = 'id', toRow, fromRow }) => {
+        // owner: account the local copy belongs to, null for local mode
+        // items: { ...item, dirty, synced }, deleted: IDs of synced items removed locally
+        let state = { owner: null, items: [], deleted: [] };
+        let syncPromise = null;
+        const listeners = [];
+
+        /**
+         * Read the local copy
+         */
+        const load = () => {
+            try {
+                const stored = JSON.parse(localStorage.getItem(storageKey) || 'null');
+                if (stored && Array.isArray(stored.items)) {
+                    state = { owner: stored.owner || null, items: stored.items, deleted: stored.deleted || [] };
+                }
+            } catch (error) {
+                console.error(`Error loading ${storageKey}:`, error);
+            }
+        };
+
+        /**
+         * Write the local copy
+         */
+        const save = () => {
+            try {
+                localStorage.setItem(storageKey, JSON.stringify(state));
+            } catch (error) {
+                console.error(`Error saving ${storageKey}:`, error);
+            }
+        };
+
+        /**
+         * Forget the copy of an account that signed out, so local mode starts empty
+         * and what is added next is offered to whichever account signs in
+         */
+        const clearOwner = () => {
+            state = { owner: null, items: [], deleted: [] };
+            save();
+            notify();
+        };
+
+        /**
+         * Tell listeners the list changed
+         */
+        const notify = () => {
+            listeners.forEach(listener => listener(getAll()));
+        };
+
+        /**
+         * Check if the table can be reached
+         * @returns {boolean}
+         */
+        const canSync = () => isSupabaseConfigured() && Auth.getUserId() !== null && navigator.onLine;
+
+        /**
+         * Load the local copy and sync it, then again whenever the connection or session comes back
+         * @param {Array} [legacyItems] - Items from an older local format, added if the list is empty
+         */
+        const init = async (legacyItems = []) => {
+            load();
+            // Signed out while the app was closed
+            if (state.owner && Auth.getUserId() === null) {
+                clearOwner();
+            }
+            if (state.items.length === 0 && state.deleted.length === 0 && legacyItems.length > 0) {
+                state.items = legacyItems.map(item => ({ ...item, dirty: true, synced: false }));
+                save();
+            }
+
+            window.addEventListener('online', () => sync());
+            Auth.onAuthChange((event) => {
+                if (event === 'SIGNED_IN') sync();
+                if (event === 'SIGNED_OUT') clearOwner();
+            });
+            await sync();
+        };
+
+        /**
+         * Get the items, without sync bookkeeping
+         * @returns {Array}
+         */
+        const getAll = () => state.items.map(({ dirty, synced, ...item }) => item);
+
+        /**
+         * Add or replace an item, matched by keyOf
+         * @param {Object} item - Gets an id if it has none
+         * @returns {Object} Stored item
+         */
+        const put = (item) => {
+            const stored = { ...item, id: item.id || EntryModel.createId(), updatedAt: Date.now() };
+            const index = state.items.findIndex(existing => keyOf(existing) === keyOf(stored) || existing.id === stored.id);
+
+            if (index === -1) {
+                state.items.push({ ...stored, dirty: true, synced: false });
+            } else {
+                state.items[index] = { ...state.items[index], ...stored, dirty: true };
+            }
+
+            save();
+            notify();
+            sync();
+            return stored;
+        };
+
+        /**
+         * Remove an item
+         * @param {string} id
+         * @returns {boolean} False if there was no such item
+         */
+        const remove = (id) => {
+            const item = state.items.find(existing => existing.id === id);
+            if (!item) return false;
+
+            state.items = state.items.filter(existing => existing !== item);
+            if (item.synced) {
+                state.deleted.push(id);
+            }
+
+            save();
+            notify();
+            sync();
+            return true;
+        };
+
+        /**
+         * Push local changes to the table and pull changes made on other devices
+         * Concurrent callers share one run
+         * @returns {Promise<boolean>} False if the table couldn't be reached
+         */
+        const sync = () => {
+            if (!canSync()) return Promise.resolve(false);
+            if (syncPromise) return syncPromise;
+
+            syncPromise = runSync()
+                .then(needsAnother => {
+                    if (needsAnother) setTimeout(sync);
+                    return true;
+                })
+                .catch(error => {
+                    console.warn(`Failed to sync ${table}, keeping local changes:`, error);
+                    return false;
+                })
+                .finally(() => {
+                    syncPromise = null;
+                });
+            return syncPromise;
+        };
+
+        /**
+         * One sync pass
+         * @returns {Promise<boolean>} True if the list changed locally while it ran
+         */
+        const runSync = async () => {
+            const client = getSupabaseClient();
+            const userId = Auth.getUserId();
+
+            // A copy left by another account isn't merged into this one;
+            // items added while owner is null are local-mode data and are merged
+            if (state.owner && state.owner !== userId) {
+                state = { owner: userId, items: [], deleted: [] };
+            }
+
+            const deleting = [...state.deleted];
+            for (const id of deleting) {
+                const { error } = await client.from(table).delete().eq('id', id);
+                if (error) throw error;
+            }
+            state.deleted = state.deleted.filter(id => !deleting.includes(id));
+            save();
+
+            // put() and remove() replace items, so changes made during the requests below can be told apart
+            const snapshot = [...state.items];
+
+            const { data, error } = await client.from(table).select('*').eq('user_id', userId);
+            if (error) throw error;
+
+            const remote = new Map(data.map(fromRow).map(item => [keyOf(item), item]));
+            const toPush = [];
+            const merged = [];
+
+            snapshot.forEach(item => {
+                const remoteItem = remote.get(keyOf(item));
+                remote.delete(keyOf(item));
+
+                if (remoteItem && !(item.dirty && item.updatedAt >= remoteItem.updatedAt)) {
+                    merged.push({ ...remoteItem, dirty: false, synced: true });
+                } else if (remoteItem || !item.synced || item.dirty) {
+                    // Keep the table's ID, the same item may have been added on two devices
+                    const pushed = { ...item, id: remoteItem ? remoteItem.id : item.id };
+                    toPush.push(pushed);
+                    merged.push({ ...pushed, dirty: false, synced: true });
+                }
+                // Otherwise it was synced before and deleted on another device
+            });
+            remote.forEach(item => merged.push({ ...item, dirty: false, synced: true }));
+
+            if (toPush.length > 0) {
+                const { error: pushError } = await client.from(table)
+                    .upsert(toPush.map(({ dirty, synced, ...item }) => toRow(item, userId)), { onConflict });
+                if (pushError) throw pushError;
+            }
+
+            const changed = state.items.filter(item => !snapshot.includes(item));
+            const removedIds = new Set(snapshot.filter(item => !state.items.includes(item)).map(item => item.id));
+            const replaced = (item) => changed.some(other => other.id === item.id || keyOf(other) === keyOf(item));
+            const removed = merged.filter(item => removedIds.has(item.id) && !replaced(item));
+
+            state = {
+                owner: userId,
+                items: merged.filter(item => !removedIds.has(item.id) && !replaced(item)).concat(changed),
+                deleted: state.deleted.concat(removed.map(item => item.id))
+            };
+            save();
+            notify();
+            return changed.length > 0 || removed.length > 0;
+        };
+
+        /**
+         * Register a callback for changes, local or pulled from the table
+         * @param {Function} listener - Called with the items
+         */
+        const onChange = (listener) => {
+            listeners.push(listener);
+        };
+
+        return {
+            init,
+            getAll,
+            put,
+            remove,
+            sync,
+            onChange
+        };
+    };
+
+    // Public API
+    return {
+        create
+    };
+})();
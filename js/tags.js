@@ -0,0 +1,218 @@
+/**
+ * Tags Module
+ * Suggests existing tags while typing, and manages tags from Settings:
+ * usage counts, rename, merge and delete across all entries
+ */
+
+const TagManager = (() => {
+    const MAX_SUGGESTIONS = 6;
+
+    let knownTags = [];
+    let onChangeCallback = null;
+
+    /**
+     * Initialize tag autocomplete and the Settings tag list
+     * @param {Function} onChange - Callback after tags are renamed or deleted
+     */
+    const init = (onChange) => {
+        onChangeCallback = onChange;
+
+        ['entryTags', 'filterTags'].forEach(id => {
+            const input = document.getElementById(id);
+            if (input) attachAutocomplete(input);
+        });
+    };
+
+    /**
+     * Fetch tags and their counts
+     * @returns {Promise<Array>} { tag, count }, most used first
+     */
+    const loadTags = async () => {
+        try {
+            knownTags = await DiaryStorage.getTags();
+        } catch (error) {
+            console.error('Error loading tags:', error);
+        }
+        return knownTags;
+    };
+
+    /**
+     * Suggest existing tags for the tag being typed in a comma separated input
+     * @param {HTMLInputElement} input
+     */
+    const attachAutocomplete = (input) => {
+        const list = document.createElement('ul');
+        list.className = 'tag-suggestions hidden';
+        list.setAttribute('role', 'listbox');
+        input.insertAdjacentElement('afterend', list);
+        input.setAttribute('autocomplete', 'off');
+
+        let suggestions = [];
+        let active = -1;
+
+        const close = () => {
+            suggestions = [];
+            active = -1;
+            list.classList.add('hidden');
+        };
+
+        const show = () => {
+            const parts = input.value.split(',');
+            const typed = EntryModel.normalizeTag(parts[parts.length - 1]);
+            const entered = EntryModel.normalizeTags(parts.slice(0, -1));
+
+            suggestions = typed
+                ? knownTags.map(({ tag }) => tag)
+                    .filter(tag => tag.startsWith(typed) && tag !== typed && !entered.includes(tag))
+                    .slice(0, MAX_SUGGESTIONS)
+                : [];
+            active = -1;
+
+            if (suggestions.length === 0) {
+                close();
+                return;
+            }
+
+            list.innerHTML = suggestions.map((tag, index) => `
+                <li class="tag-suggestion" role="option" data-index="${index}">${Components.escapeHtml(tag)}</li>
+            `).join('');
+            list.classList.remove('hidden');
+        };
+
+        const highlight = () => {
+            list.querySelectorAll('.tag-suggestion').forEach((item, index) => {
+                item.classList.toggle('active', index === active);
+            });
+        };
+
+        const pick = (tag) => {
+            const parts = input.value.split(',');
+            parts[parts.length - 1] = ` ${tag}`;
+            input.value = `${parts.join(',').trim()}, `;
+            close();
+            input.focus();
+        };
+
+        input.addEventListener('focus', () => loadTags());
+        input.addEventListener('input', show);
+        input.addEventListener('blur', close);
+
+        input.addEventListener('keydown', (e) => {
+            if (suggestions.length === 0) return;
+
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                const step = e.key === 'ArrowDown' ? 1 : -1;
+                active = (active + step + suggestions.length) % suggestions.length;
+                highlight();
+            } else if ((e.key === 'Enter' || e.key === 'Tab') && active !== -1) {
+                e.preventDefault();
+                pick(suggestions[active]);
+            } else if (e.key === 'Escape') {
+                close();
+            }
+        });
+
+        // mousedown fires before blur closes the list
+        list.addEventListener('mousedown', (e) => {
+            const item = e.target.closest('.tag-suggestion');
+            if (item) {
+                e.preventDefault();
+                pick(suggestions[Number(item.dataset.index)]);
+            }
+        });
+    };
+
+    /**
+     * Render the tag list in Settings
+     */
+    const render = async () => {
+        const container = document.getElementById('tagManager');
+        if (!container) return;
+
+        const tags = await loadTags();
+
+        if (tags.length === 0) {
+            container.innerHTML = '<p class="info-text">No tags yet.</p>';
+            return;
+        }
+
+        // Buttons refer to tags by position, tags can contain any character
+        container.innerHTML = tags.map(({ tag, count }, index) => `
+            <div class="tag-row">
+                <span class="tag">${Components.escapeHtml(tag)}</span>
+                <span class="tag-count">${count} ${count === 1 ? 'entry' : 'entries'}</span>
+                <button class="restore-btn tag-rename-btn" data-index="${index}">Rename</button>
+                <button class="delete-btn tag-delete-btn" data-index="${index}" aria-label="Delete tag">🗑️</button>
+            </div>
+        `).join('');
+
+        container.querySelectorAll('.tag-rename-btn').forEach(btn => {
+            btn.addEventListener('click', () => rename(tags[btn.dataset.index].tag));
+        });
+        container.querySelectorAll('.tag-delete-btn').forEach(btn => {
+            btn.addEventListener('click', () => remove(tags[btn.dataset.index].tag));
+        });
+    };
+
+    /**
+     * Notify the app that entries changed
+     */
+    const notifyChange = () => {
+        if (onChangeCallback) {
+            onChangeCallback();
+        }
+    };
+
+    /**
+     * Rename a tag, merging it into another tag if the new name is taken
+     * @param {string} tag
+     */
+    const rename = async (tag) => {
+        const input = prompt(`Rename "${tag}" to:`, tag);
+        if (input === null) return;
+
+        const newTag = EntryModel.normalizeTag(input);
+        if (!newTag || newTag === tag) return;
+
+        if (knownTags.some(known => known.tag === newTag) &&
+            !confirm(`"${newTag}" already exists. Merge "${tag}" into it?`)) {
+            return;
+        }
+
+        try {
+            const count = await DiaryStorage.renameTag(tag, newTag);
+            await render();
+            notifyChange();
+            Components.showToast(`Updated ${count} ${count === 1 ? 'entry' : 'entries'}`, 'success');
+        } catch (error) {
+            console.error('Error renaming tag:', error);
+            Components.showToast('Failed to rename tag', 'error');
+        }
+    };
+
+    /**
+     * Remove a tag from every entry
+     * @param {string} tag
+     */
+    const remove = async (tag) => {
+        if (!confirm(`Remove the tag "${tag}" from every entry? The entries are kept.`)) return;
+
+        try {
+            const count = await DiaryStorage.deleteTag(tag);
+            await render();
+            notifyChange();
+            Components.showToast(`Removed from ${count} ${count === 1 ? 'entry' : 'entries'}`, 'success');
+        } catch (error) {
+            console.error('Error deleting tag:', error);
+            Components.showToast('Failed to delete tag', 'error');
+        }
+    };
+
+    // Public API
+    return {
+        init,
+        attachAutocomplete,
+        render
+    };
+})();
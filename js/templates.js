@@ -0,0 +1,330 @@
+/**
+ * Templates Module
+ * Writing templates and a rotating daily prompt for thought entries
+ * Built-in templates ship with the app; the user's own are a synced list
+ * (the entry_templates table when signed in)
+ *
+ * Placeholders in a template body: {{date}}, {{weekday}}, {{time}} and {{prompt}}
+ */
+
+const EntryTemplates = (() => {
+    const BUILT_IN = [
+        {
+            id: 'builtin-morning-pages',
+            name: 'Morning pages',
+            body: '## Morning pages, {{weekday}} {{date}}\n\nWrite three pages without stopping. Don\'t edit, just keep going.\n\n'
+        },
+        {
+            id: 'builtin-daily-reflection',
+            name: 'Daily reflection',
+            body: '## {{weekday}} reflection\n\n**What went well today?**\n\n\n**What was hard?**\n\n\n**What will I do differently tomorrow?**\n\n'
+        },
+        {
+            id: 'builtin-gratitude',
+            name: 'Gratitude list',
+            body: '## Grateful for, {{date}}\n\n1. \n2. \n3. \n'
+        }
+    ];
+
+    const PROMPTS = [
+        'What is one thing you want to remember about today?',
+        'What are you avoiding right now, and why?',
+        'Describe a small moment that made you smile recently.',
+        'What would you do tomorrow if nothing could go wrong?',
+        'Who did you think about today, and what would you tell them?',
+        'What drained your energy today? What gave you energy?',
+        'What is a belief you held a year ago that has changed?',
+        'Write about a place where you feel completely at ease.',
+        'What are you looking forward to this week?',
+        'What did you learn today, even if it was small?',
+        'What would your younger self think of your life now?',
+        'Describe your current mood as the weather.',
+        'What is something you did well recently that nobody noticed?',
+        'What is taking up too much space in your head?',
+        'Which habit would you like to start, and what is the first step?',
+        'Write a letter to yourself one year from now.',
+        'What is a worry you can let go of tonight?',
+        'Who has helped you lately, and how?',
+        'What does a perfect ordinary day look like for you?',
+        'What have you changed your mind about recently?',
+        'What are three things you can see, hear and feel right now?',
+        'What boundary do you need to set, or keep?',
+        'What made today different from yesterday?',
+        'What is a question you keep coming back to?',
+        'What would you like to say no to more often?',
+        'Describe a recent conversation that stayed with you.',
+        'What are you proud of this month?',
+        'What do you need more of right now? Less of?',
+        'If today was a chapter title, what would it be?',
+        'What is something you are curious about at the moment?'
+    ];
+
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    const templates = SyncedList.create({
+        storageKey: 'chronicle_templates',
+        table: 'entry_templates',
+        keyOf: template => template.id,
+        toRow: (template, userId) => ({
+            id: template.id,
+            user_id: userId,
+            name: template.name,
+            body: template.body,
+            updated_at: new Date(template.updatedAt).toISOString()
+        }),
+        fromRow: row => ({
+            id: row.id,
+            name: row.name,
+            body: row.body,
+            updatedAt: new Date(row.updated_at).getTime()
+        })
+    });
+
+    let promptOffset = 0;
+    let editingId = null;
+
+    /**
+     * Initialize the template picker, daily prompt and the Settings template list
+     */
+    const init = () => {
+        templates.onChange(() => {
+            renderPicker();
+            renderManager();
+        });
+        templates.init().catch(error => console.error('Error loading templates:', error));
+
+        document.getElementById('templateSelect')?.addEventListener('change', (e) => {
+            const template = getTemplates().find(t => t.id === e.target.value);
+            e.target.value = '';
+            if (template) apply(template);
+        });
+
+        document.getElementById('entryDate')?.addEventListener('change', renderPrompt);
+        document.getElementById('usePromptBtn')?.addEventListener('click', usePrompt);
+        document.getElementById('nextPromptBtn')?.addEventListener('click', () => {
+            promptOffset++;
+            renderPrompt();
+        });
+
+        document.getElementById('newTemplateBtn')?.addEventListener('click', () => openForm(null));
+        document.getElementById('cancelTemplateBtn')?.addEventListener('click', closeForm);
+        document.getElementById('templateForm')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            saveForm();
+        });
+
+        renderPicker();
+        renderPrompt();
+    };
+
+    /**
+     * Get built-in and user templates
+     * @returns {Array} { id, name, body, builtIn }
+     */
+    const getTemplates = () => [
+        ...BUILT_IN.map(template => ({ ...template, builtIn: true })),
+        ...templates.getAll()
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .map(template => ({ ...template, builtIn: false }))
+    ];
+
+    /**
+     * Get the prompt for a day; each day moves one prompt further through the library
+     * @param {Date} date
+     * @param {number} [offset] - Prompts to skip ahead
+     * @returns {string}
+     */
+    const getPrompt = (date, offset = 0) => {
+        const day = Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()) / DAY_MS;
+        return PROMPTS[(((day + offset) % PROMPTS.length) + PROMPTS.length) % PROMPTS.length];
+    };
+
+    /**
+     * The day the entry form is writing about, so backdated entries get that day's prompt
+     * @returns {Date}
+     */
+    const getFormDate = () => EntriesManager.getEntryDate() || new Date();
+
+    /**
+     * Replace placeholders in a template body
+     * @param {string} body
+     * @param {Date} date
+     * @returns {string}
+     */
+    const fill = (body, date) => {
+        const values = {
+            date: date.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' }),
+            weekday: date.toLocaleDateString('en-US', { weekday: 'long' }),
+            time: Components.formatTime(date),
+            prompt: getPrompt(date, promptOffset)
+        };
+        return body.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => values[name] ?? match);
+    };
+
+    /**
+     * Show the template picker and prompt only for thought entries
+     * @param {string} type - Selected entry type
+     */
+    const showFor = (type) => {
+        document.getElementById('templateBar')?.classList.toggle('hidden', type !== 'thought');
+        if (type === 'thought') renderPrompt();
+    };
+
+    /**
+     * Fill the template picker
+     */
+    const renderPicker = () => {
+        const select = document.getElementById('templateSelect');
+        if (!select) return;
+
+        const all = getTemplates();
+        const options = (list) => list.map(template => {
+            const option = document.createElement('option');
+            option.value = template.id;
+            option.textContent = template.name;
+            return option;
+        });
+
+        const builtIn = document.createElement('optgroup');
+        builtIn.label = 'Built-in';
+        builtIn.append(...options(all.filter(t => t.builtIn)));
+
+        const placeholder = document.createElement('option');
+        placeholder.value = '';
+        placeholder.textContent = 'Start from a template...';
+        select.replaceChildren(placeholder, builtIn);
+
+        const own = all.filter(t => !t.builtIn);
+        if (own.length > 0) {
+            const mine = document.createElement('optgroup');
+            mine.label = 'My templates';
+            mine.append(...options(own));
+            select.appendChild(mine);
+        }
+    };
+
+    /**
+     * Show the prompt for the form's day
+     */
+    const renderPrompt = () => {
+        const text = document.getElementById('dailyPromptText');
+        if (text) {
+            text.textContent = getPrompt(getFormDate(), promptOffset);
+        }
+    };
+
+    /**
+     * Put a template in the entry box, asking before replacing text
+     * @param {Object} template
+     */
+    const apply = (template) => {
+        const textarea = document.getElementById('entryContent');
+        if (!textarea) return;
+
+        if (textarea.value.trim() && !confirm(`Replace what you've written with "${template.name}"?`)) return;
+
+        Markdown.closePreview();
+        textarea.value = fill(template.body, getFormDate());
+        textarea.focus();
+        textarea.setSelectionRange(textarea.value.length, textarea.value.length);
+        textarea.dispatchEvent(new Event('input', { bubbles: true }));
+    };
+
+    /**
+     * Quote the current prompt at the cursor
+     */
+    const usePrompt = () => {
+        const textarea = document.getElementById('entryContent');
+        if (!textarea) return;
+
+        Markdown.closePreview();
+        const { selectionStart: start, selectionEnd: end, value } = textarea;
+        const before = start > 0 && !value.slice(0, start).endsWith('\n\n') ? '\n\n' : '';
+        textarea.setRangeText(`${before}> ${getPrompt(getFormDate(), promptOffset)}\n\n`, start, end, 'end');
+        textarea.focus();
+        textarea.dispatchEvent(new Event('input', { bubbles: true }));
+    };
+
+    /**
+     * Render the user's templates in Settings
+     */
+    const renderManager = () => {
+        const container = document.getElementById('templateManager');
+        if (!container) return;
+
+        const own = getTemplates().filter(t => !t.builtIn);
+        if (own.length === 0) {
+            container.innerHTML = '<p class="info-text">No templates of your own yet.</p>';
+            return;
+        }
+
+        // Buttons refer to templates by position, names can contain any character
+        container.innerHTML = own.map((template, index) => `
+            <div class="tag-row">
+                <span class="template-name">${Components.escapeHtml(template.name)}</span>
+                <button class="restore-btn template-edit-btn" data-index="${index}">Edit</button>
+                <button class="delete-btn template-delete-btn" data-index="${index}" aria-label="Delete template">🗑️</button>
+            </div>
+        `).join('');
+
+        container.querySelectorAll('.template-edit-btn').forEach(btn => {
+            btn.addEventListener('click', () => openForm(own[btn.dataset.index]));
+        });
+        container.querySelectorAll('.template-delete-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const template = own[btn.dataset.index];
+                if (confirm(`Delete the template "${template.name}"?`)) {
+                    templates.remove(template.id);
+                    Components.showToast('Template deleted', 'success');
+                }
+            });
+        });
+    };
+
+    /**
+     * Open the template form in Settings
+     * @param {Object|null} template - Null for a new template
+     */
+    const openForm = (template) => {
+        editingId = template ? template.id : null;
+        document.getElementById('templateNameInput').value = template ? template.name : '';
+        document.getElementById('templateBodyInput').value = template ? template.body : '';
+        document.getElementById('templateForm')?.classList.remove('hidden');
+        document.getElementById('templateNameInput').focus();
+    };
+
+    /**
+     * Close the template form
+     */
+    const closeForm = () => {
+        editingId = null;
+        document.getElementById('templateForm')?.classList.add('hidden');
+    };
+
+    /**
+     * Save the template form
+     */
+    const saveForm = () => {
+        const name = document.getElementById('templateNameInput').value.trim();
+        const body = document.getElementById('templateBodyInput').value;
+
+        if (!name || !body.trim()) {
+            Components.showToast('A template needs a name and some text', 'error');
+            return;
+        }
+
+        templates.put({ id: editingId, name, body });
+        closeForm();
+        Components.showToast('Template saved', 'success');
+    };
+
+    // Public API
+    return {
+        init,
+        getTemplates,
+        getPrompt,
+        fill,
+        showFor,
+        renderManager
+    };
+})();
@@ -0,0 +1,147 @@
+/**
+ * Trash Module
+ * Lists deleted entries and lets the user restore them or delete them for good
+ */
+
+const TrashView = (() => {
+    let onChangeCallback = null;
+
+    /**
+     * Initialize trash view
+     * @param {Function} onChange - Callback after entries are restored or deleted
+     */
+    const init = (onChange) => {
+        onChangeCallback = onChange;
+
+        document.getElementById('emptyTrashBtn')?.addEventListener('click', emptyTrash);
+    };
+
+    /**
+     * Render trashed entries
+     */
+    const render = async () => {
+        const container = document.getElementById('trashContainer');
+        if (!container) return;
+
+        let trashed = [];
+        try {
+            trashed = await DiaryStorage.getTrash();
+        } catch (error) {
+            console.error('Error loading trash:', error);
+            Components.showToast('Failed to load trash', 'error');
+        }
+
+        const emptyBtn = document.getElementById('emptyTrashBtn');
+        if (emptyBtn) emptyBtn.disabled = trashed.length === 0;
+
+        if (trashed.length === 0) {
+            container.innerHTML = `
+                <div class="empty-state">
+                    <p>Trash is empty.</p>
+                </div>
+            `;
+            return;
+        }
+
+        container.innerHTML = trashed.map(createTrashCard).join('');
+
+        container.querySelectorAll('.restore-btn').forEach(btn => {
+            btn.addEventListener('click', () => restore(btn.dataset.id));
+        });
+        container.querySelectorAll('.purge-btn').forEach(btn => {
+            btn.addEventListener('click', () => purge(btn.dataset.id));
+        });
+    };
+
+    /**
+     * Create trashed entry card HTML
+     * @param {Object} entry
+     * @returns {string}
+     */
+    const createTrashCard = (entry) => {
+        const deletedAt = new Date(entry.deletedAt);
+
+        return `
+            <div class="entry-card trash-card" data-id="${entry.id}">
+                <div class="entry-header">
+                    <div class="entry-type">
+                        <span class="entry-type-label">${entry.type}</span>
+                    </div>
+                    <div class="entry-actions">
+                        <button class="restore-btn" data-id="${entry.id}" aria-label="Restore entry">Restore</button>
+                        <button class="delete-btn purge-btn" data-id="${entry.id}" aria-label="Delete entry forever">🗑️</button>
+                    </div>
+                </div>
+                <div class="entry-content">${Components.escapeHtml(entry.content)}</div>
+                <div class="entry-date">
+                    Written ${Components.formatDate(new Date(entry.date))} ·
+                    deleted ${Components.formatDate(deletedAt)}, ${Components.formatTime(deletedAt)}
+                </div>
+            </div>
+        `;
+    };
+
+    /**
+     * Notify the app that entries changed
+     */
+    const notifyChange = () => {
+        if (onChangeCallback) {
+            onChangeCallback();
+        }
+    };
+
+    /**
+     * Restore a trashed entry
+     * @param {string} id
+     */
+    const restore = async (id) => {
+        try {
+            await DiaryStorage.restoreEntry(id);
+            await render();
+            notifyChange();
+            Components.showToast('Entry restored', 'success');
+        } catch (error) {
+            console.error('Error restoring entry:', error);
+            Components.showToast('Failed to restore entry', 'error');
+        }
+    };
+
+    /**
+     * Permanently delete one trashed entry
+     * @param {string} id
+     */
+    const purge = async (id) => {
+        if (!confirm('Delete this entry forever? This can\'t be undone.')) return;
+
+        try {
+            await DiaryStorage.purgeEntry(id);
+            await render();
+            Components.showToast('Entry deleted forever', 'success');
+        } catch (error) {
+            console.error('Error deleting entry:', error);
+            Components.showToast('Failed to delete entry', 'error');
+        }
+    };
+
+    /**
+     * Permanently delete everything in the trash
+     */
+    const emptyTrash = async () => {
+        if (!confirm('Delete every entry in the trash forever? This can\'t be undone.')) return;
+
+        try {
+            const count = await DiaryStorage.emptyTrash();
+            await render();
+            Components.showToast(`Deleted ${count} ${count === 1 ? 'entry' : 'entries'} forever`, 'success');
+        } catch (error) {
+            console.error('Error emptying trash:', error);
+            Components.showToast('Failed to empty trash', 'error');
+        }
+    };
+
+    // Public API
+    return {
+        init,
+        render
+    };
+})();
@@ -1,9 +1,11 @@
 -- Chronicle Diary App - Supabase Database Schema
 -- Run this SQL in your Supabase SQL Editor
+-- Safe to run again on an existing database
 
 -- ============================================
 -- Table: entries
 -- Stores all diary entries
+-- The app generates entry IDs itself (UUID v4), the default covers other inserts
 -- ============================================
 CREATE TABLE IF NOT EXISTS entries (
   id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
@@ -11,26 +13,37 @@ CREATE TABLE IF NOT EXISTS entries (
   type TEXT NOT NULL CHECK (type IN ('event', 'thought', 'habit', 'food', 'health')),
   content TEXT NOT NULL,
   tags TEXT[] DEFAULT '{}',
+  -- Structured per-type fields, e.g. {"mealType": "lunch", "portion": "large"} for food,
+  -- and amounts logged with a unit, e.g. {"quantity": {"amount": 8, "unit": "glasses"}}
+  custom_fields JSONB DEFAULT '{}'::jsonb NOT NULL,
   created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL,
-  updated_at TIMESTAMPTZ DEFAULT NOW() NOT NULL
+  updated_at TIMESTAMPTZ DEFAULT NOW() NOT NULL,
+  version INTEGER DEFAULT 1 NOT NULL,
+  deleted_at TIMESTAMPTZ,
+  -- Words of the content for full-text search, unstemmed to match the app's offline search
+  search TSVECTOR GENERATED ALWAYS AS (to_tsvector('simple', content)) STORED
 );
 
 -- Enable Row Level Security
 ALTER TABLE entries ENABLE ROW LEVEL SECURITY;
 
 -- RLS Policies for entries
+DROP POLICY IF EXISTS "Users can view own entries" ON entries;
 CREATE POLICY "Users can view own entries"
   ON entries FOR SELECT
   USING (auth.uid() = user_id);
 
+DROP POLICY IF EXISTS "Users can insert own entries" ON entries;
 CREATE POLICY "Users can insert own entries"
   ON entries FOR INSERT
   WITH CHECK (auth.uid() = user_id);
 
+DROP POLICY IF EXISTS "Users can update own entries" ON entries;
 CREATE POLICY "Users can update own entries"
   ON entries FOR UPDATE
   USING (auth.uid() = user_id);
 
+DROP POLICY IF EXISTS "Users can delete own entries" ON entries;
 CREATE POLICY "Users can delete own entries"
   ON entries FOR DELETE
   USING (auth.uid() = user_id);
@@ -39,17 +52,24 @@ CREATE POLICY "Users can delete own entries"
 CREATE INDEX IF NOT EXISTS entries_user_id_idx ON entries(user_id);
 CREATE INDEX IF NOT EXISTS entries_created_at_idx ON entries(created_at DESC);
 CREATE INDEX IF NOT EXISTS entries_type_idx ON entries(type);
+-- Tag filters and the tag manager use array containment
+CREATE INDEX IF NOT EXISTS entries_tags_idx ON entries USING GIN (tags);
 
 -- ============================================
 -- Table: quick_log_options
 -- Stores custom quick-log options per user
+-- updated_at is set by the app, the newer copy wins when devices sync
 -- ============================================
 CREATE TABLE IF NOT EXISTS quick_log_options (
   id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
   user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
   type TEXT NOT NULL CHECK (type IN ('habit', 'food', 'health')),
   option_name TEXT NOT NULL,
+  -- Unit and default amount for options logged with an amount, e.g. 'glasses' and 8
+  unit TEXT,
+  default_amount NUMERIC CHECK (default_amount >= 0),
   created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL,
+  updated_at TIMESTAMPTZ DEFAULT NOW() NOT NULL,
   UNIQUE(user_id, type, option_name)
 );
 
@@ -57,6 +77,7 @@ CREATE TABLE IF NOT EXISTS quick_log_options (
 ALTER TABLE quick_log_options ENABLE ROW LEVEL SECURITY;
 
 -- RLS Policy for quick_log_options
+DROP POLICY IF EXISTS "Users can manage own options" ON quick_log_options;
 CREATE POLICY "Users can manage own options"
   ON quick_log_options FOR ALL
   USING (auth.uid() = user_id);
@@ -64,6 +85,199 @@ CREATE POLICY "Users can manage own options"
 -- Index for faster queries
 CREATE INDEX IF NOT EXISTS quick_log_options_user_type_idx ON quick_log_options(user_id, type);
 
+-- ============================================
+-- Table: quick_log_preferences
+-- Per user and type: the order of quick-log options and the ones hidden from the dropdown
+-- updated_at is set by the app, the newer copy wins when devices sync
+-- ============================================
+CREATE TABLE IF NOT EXISTS quick_log_preferences (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+  type TEXT NOT NULL CHECK (type IN ('habit', 'food', 'health')),
+  option_order TEXT[] DEFAULT '{}' NOT NULL,
+  hidden TEXT[] DEFAULT '{}' NOT NULL,
+  -- Favorites shown first among the quick-log buttons
+  pinned TEXT[] DEFAULT '{}' NOT NULL,
+  updated_at TIMESTAMPTZ DEFAULT NOW() NOT NULL,
+  UNIQUE(user_id, type)
+);
+
+-- Enable Row Level Security
+ALTER TABLE quick_log_preferences ENABLE ROW LEVEL SECURITY;
+
+-- RLS Policy for quick_log_preferences
+DROP POLICY IF EXISTS "Users can manage own quick-log preferences" ON quick_log_preferences;
+CREATE POLICY "Users can manage own quick-log preferences"
+  ON quick_log_preferences FOR ALL
+  USING (auth.uid() = user_id)
+  WITH CHECK (auth.uid() = user_id);
+
+-- ============================================
+-- Table: entry_revisions
+-- Earlier versions of edited entries, one row per save
+-- ============================================
+CREATE TABLE IF NOT EXISTS entry_revisions (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  entry_id UUID REFERENCES entries(id) ON DELETE CASCADE NOT NULL,
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+  type TEXT NOT NULL,
+  content TEXT NOT NULL,
+  tags TEXT[] DEFAULT '{}',
+  saved_at TIMESTAMPTZ DEFAULT NOW() NOT NULL
+);
+
+-- Enable Row Level Security
+ALTER TABLE entry_revisions ENABLE ROW LEVEL SECURITY;
+
+-- RLS Policies for entry_revisions (revisions are never edited)
+-- New rows must belong to one of the user's own entries
+DROP POLICY IF EXISTS "Users can view own revisions" ON entry_revisions;
+CREATE POLICY "Users can view own revisions"
+  ON entry_revisions FOR SELECT
+  USING (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can insert own revisions" ON entry_revisions;
+CREATE POLICY "Users can insert own revisions"
+  ON entry_revisions FOR INSERT
+  WITH CHECK (
+    auth.uid() = user_id
+    AND EXISTS (SELECT 1 FROM entries e WHERE e.id = entry_id AND e.user_id = auth.uid())
+  );
+
+-- Index for faster queries
+CREATE INDEX IF NOT EXISTS entry_revisions_entry_idx ON entry_revisions(entry_id, saved_at);
+
+-- ============================================
+-- Table: entry_attachments
+-- Photos and audio clips on entries; the files are in the attachments bucket
+-- ============================================
+CREATE TABLE IF NOT EXISTS entry_attachments (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  entry_id UUID REFERENCES entries(id) ON DELETE CASCADE NOT NULL,
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+  name TEXT NOT NULL,
+  mime_type TEXT NOT NULL,
+  size INTEGER NOT NULL,
+  path TEXT NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL
+);
+
+-- Enable Row Level Security
+ALTER TABLE entry_attachments ENABLE ROW LEVEL SECURITY;
+
+-- RLS Policies for entry_attachments
+-- Rows must belong to one of the user's own entries
+DROP POLICY IF EXISTS "Users can view own attachments" ON entry_attachments;
+CREATE POLICY "Users can view own attachments"
+  ON entry_attachments FOR SELECT
+  USING (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can insert own attachments" ON entry_attachments;
+CREATE POLICY "Users can insert own attachments"
+  ON entry_attachments FOR INSERT
+  WITH CHECK (
+    auth.uid() = user_id
+    AND EXISTS (SELECT 1 FROM entries e WHERE e.id = entry_id AND e.user_id = auth.uid())
+  );
+
+DROP POLICY IF EXISTS "Users can update own attachments" ON entry_attachments;
+CREATE POLICY "Users can update own attachments"
+  ON entry_attachments FOR UPDATE
+  USING (auth.uid() = user_id)
+  WITH CHECK (
+    auth.uid() = user_id
+    AND EXISTS (SELECT 1 FROM entries e WHERE e.id = entry_id AND e.user_id = auth.uid())
+  );
+
+DROP POLICY IF EXISTS "Users can delete own attachments" ON entry_attachments;
+CREATE POLICY "Users can delete own attachments"
+  ON entry_attachments FOR DELETE
+  USING (auth.uid() = user_id);
+
+-- Index for faster queries
+CREATE INDEX IF NOT EXISTS entry_attachments_entry_idx ON entry_attachments(entry_id, created_at);
+
+-- ============================================
+-- Storage: attachments bucket
+-- Private; files are stored as <user id>/<entry id>/<attachment id>
+-- and each user can only reach their own folder
+-- ============================================
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('attachments', 'attachments', false)
+ON CONFLICT (id) DO NOTHING;
+
+DROP POLICY IF EXISTS "Users can view own attachment files" ON storage.objects;
+CREATE POLICY "Users can view own attachment files"
+  ON storage.objects FOR SELECT
+  USING (bucket_id = 'attachments' AND (storage.foldername(name))[1] = auth.uid()::text);
+
+DROP POLICY IF EXISTS "Users can upload own attachment files" ON storage.objects;
+CREATE POLICY "Users can upload own attachment files"
+  ON storage.objects FOR INSERT
+  WITH CHECK (bucket_id = 'attachments' AND (storage.foldername(name))[1] = auth.uid()::text);
+
+DROP POLICY IF EXISTS "Users can update own attachment files" ON storage.objects;
+CREATE POLICY "Users can update own attachment files"
+  ON storage.objects FOR UPDATE
+  USING (bucket_id = 'attachments' AND (storage.foldername(name))[1] = auth.uid()::text);
+
+DROP POLICY IF EXISTS "Users can delete own attachment files" ON storage.objects;
+CREATE POLICY "Users can delete own attachment files"
+  ON storage.objects FOR DELETE
+  USING (bucket_id = 'attachments' AND (storage.foldername(name))[1] = auth.uid()::text);
+
+-- ============================================
+-- Table: entry_templates
+-- User-defined writing templates for thought entries
+-- updated_at is set by the app, the newer copy wins when devices sync
+-- ============================================
+CREATE TABLE IF NOT EXISTS entry_templates (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+  name TEXT NOT NULL,
+  body TEXT NOT NULL,
+  updated_at TIMESTAMPTZ DEFAULT NOW() NOT NULL
+);
+
+-- Enable Row Level Security
+ALTER TABLE entry_templates ENABLE ROW LEVEL SECURITY;
+
+-- RLS Policy for entry_templates
+DROP POLICY IF EXISTS "Users can manage own templates" ON entry_templates;
+CREATE POLICY "Users can manage own templates"
+  ON entry_templates FOR ALL
+  USING (auth.uid() = user_id)
+  WITH CHECK (auth.uid() = user_id);
+
+-- Index for faster queries
+CREATE INDEX IF NOT EXISTS entry_templates_user_idx ON entry_templates(user_id);
+
+-- ============================================
+-- Table: habit_goals
+-- How often the user wants to do each habit, used for streaks
+-- kind: daily, weekly (times_per_week days a week) or weekdays (0 = Sunday)
+-- ============================================
+CREATE TABLE IF NOT EXISTS habit_goals (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+  habit TEXT NOT NULL,
+  kind TEXT NOT NULL CHECK (kind IN ('daily', 'weekly', 'weekdays')),
+  times_per_week INTEGER CHECK (times_per_week BETWEEN 1 AND 7),
+  weekdays INTEGER[] DEFAULT '{}' NOT NULL,
+  updated_at TIMESTAMPTZ DEFAULT NOW() NOT NULL,
+  UNIQUE(user_id, habit)
+);
+
+-- Enable Row Level Security
+ALTER TABLE habit_goals ENABLE ROW LEVEL SECURITY;
+
+-- RLS Policy for habit_goals
+DROP POLICY IF EXISTS "Users can manage own habit goals" ON habit_goals;
+CREATE POLICY "Users can manage own habit goals"
+  ON habit_goals FOR ALL
+  USING (auth.uid() = user_id)
+  WITH CHECK (auth.uid() = user_id);
+
 -- ============================================
 -- Function: Update updated_at timestamp
 -- ============================================
@@ -76,11 +290,83 @@ END;
 $$ language 'plpgsql';
 
 -- Trigger to auto-update updated_at
+DROP TRIGGER IF EXISTS update_entries_updated_at ON entries;
 CREATE TRIGGER update_entries_updated_at
     BEFORE UPDATE ON entries
     FOR EACH ROW
     EXECUTE FUNCTION update_updated_at_column();
 
+-- ============================================
+-- Function: Bump entry version on every update
+-- Clients compare versions to detect edits made on another device
+-- ============================================
+CREATE OR REPLACE FUNCTION bump_entry_version()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.version = OLD.version + 1;
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS bump_entries_version ON entries;
+CREATE TRIGGER bump_entries_version
+    BEFORE UPDATE ON entries
+    FOR EACH ROW
+    EXECUTE FUNCTION bump_entry_version();
+
+-- ============================================
+-- Realtime: stream entry changes to the user's other open devices
+-- Safe to re-run
+-- ============================================
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_publication_tables
+    WHERE pubname = 'supabase_realtime' AND tablename = 'entries'
+  ) THEN
+    ALTER PUBLICATION supabase_realtime ADD TABLE entries;
+  END IF;
+END $$;
+
+-- ============================================
+-- Upgrading an existing database
+-- Columns added since the first version of this file, and the indexes on them;
+-- runs on new databases too, where each statement does nothing or builds a missing index
+-- ============================================
+ALTER TABLE entries ADD COLUMN IF NOT EXISTS version INTEGER DEFAULT 1 NOT NULL;
+ALTER TABLE entries ADD COLUMN IF NOT EXISTS custom_fields JSONB DEFAULT '{}'::jsonb NOT NULL;
+ALTER TABLE entries ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ;
+-- Everything outside the trash, the common case for every list
+-- Created here, after the column, so upgrading a database without deleted_at works
+CREATE INDEX IF NOT EXISTS entries_live_idx ON entries(user_id, created_at DESC) WHERE deleted_at IS NULL;
+ALTER TABLE entries ADD COLUMN IF NOT EXISTS search TSVECTOR
+  GENERATED ALWAYS AS (to_tsvector('simple', content)) STORED;
+-- Full-text search, after the column it indexes
+CREATE INDEX IF NOT EXISTS entries_search_idx ON entries USING GIN (search);
+CREATE INDEX IF NOT EXISTS entries_tags_idx ON entries USING GIN (tags);
+-- Queries on structured fields, e.g. custom_fields @> '{"mealType": "lunch"}'
+CREATE INDEX IF NOT EXISTS entries_custom_fields_idx ON entries USING GIN (custom_fields);
+ALTER TABLE quick_log_options ADD COLUMN IF NOT EXISTS unit TEXT;
+ALTER TABLE quick_log_options ADD COLUMN IF NOT EXISTS default_amount NUMERIC CHECK (default_amount >= 0);
+ALTER TABLE quick_log_options ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT NOW() NOT NULL;
+ALTER TABLE quick_log_preferences ADD COLUMN IF NOT EXISTS pinned TEXT[] DEFAULT '{}' NOT NULL;
+-- Tags are lowercase with single spaces since tag management was added
+-- Duplicates after normalizing keep the position of their first occurrence
+UPDATE entries SET tags = ARRAY(
+  SELECT normalized
+  FROM (
+    SELECT lower(regexp_replace(trim(tag), '\s+', ' ', 'g')) AS normalized, ord
+    FROM unnest(tags) WITH ORDINALITY AS t(tag, ord)
+    WHERE trim(tag) <> ''
+  ) AS normalized_tags
+  GROUP BY normalized
+  ORDER BY min(ord)
+)
+WHERE EXISTS (
+  SELECT 1 FROM unnest(tags) AS tag
+  WHERE tag <> lower(regexp_replace(trim(tag), '\s+', ' ', 'g'))
+);
+
 -- ============================================
 -- Success!
 -- ============================================